@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Command-line runner: simulates one model for a stimulus and writes the trace
+// to stdout as CSV or JSON, using the same core as the browser UI
+import { readFileSync, writeFileSync, existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { spawnSync } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    modelRegistry, createModel, parsePulsePattern, generateWaveform, simulateMemristor,
+    exportVerilogA, exportSpice, spiceTestbench, parseSpiceOutput, compareCurrents
+} from './core/index.js';
+
+const USAGE = `Usage: memristor-sim --model <name> [options]
+
+Options:
+  -m, --model <name>          ${Object.keys(modelRegistry).join(', ')}
+  -p, --params <json|file>    model parameters by key, e.g. '{"R_ON": 100, "R_OFF": 16e3}';
+                              --model <name> --help lists them
+  -s, --stimulus <json|file>  source in SI units, e.g.
+                              '{"type": "sine", "frequency": 160e3, "amplitude": 1,
+                                "duration": 30e-6, "dt": 1e-8}'
+      --method <name>         euler (default), rk4 or rk45
+      --rtol <value>          RK45 relative tolerance (default 1e-6)
+      --atol <value>          RK45 absolute tolerance (default 1e-9)
+      --series-resistance <ohm>
+      --compliance <ampere>
+      --thermal <json|file>   self-heating thermal node, e.g.
+                              '{"R_th": 1e4, "C_th": 1e-12, "T_amb": 300}' (K/W, J/K, K);
+                              adds the device temperature T to the output
+      --relaxation <json|file>
+                              decay of the state towards a rest state, e.g.
+                              '{"tau": 1, "rest": 0, "Ea": 0.8, "T": 300}' (s, normalized
+                              state, eV, K); tau holds at 300 K and Ea 0 is exponential
+  -f, --format <csv|json>     output format (default csv)
+      --export <verilog-a|spice>
+                              write the model with its parameters as a Verilog-A
+                              module or an ngspice subcircuit instead
+      --ngspice-check         simulate the exported subcircuit in ngspice on the
+                              same stimulus and compare its current with the JS one
+      --tolerance <fraction>  largest RMS current error of the check, relative to
+                              the peak current (default 0.05)
+  -h, --help                  this text, or the parameters of --model
+
+Stimulus types and their fields (times in seconds, voltages in volts):
+  sine, square, triangle, sawtooth  frequency, amplitude
+  pulse      pattern ("SET READ RESET READ"), vSet, vReset, vRead,
+             rise, fall, width, period, count
+  staircase  start, stop, step, dwell, mode (single or double)
+  pwl        points ([[t, V], ...]; duration defaults to the last time)
+Every stimulus takes duration and dt.`;
+
+const SOURCE_DEFAULTS = {
+    sine: {},
+    square: {},
+    triangle: {},
+    sawtooth: {},
+    pulse: {
+        pattern: 'SET READ RESET READ', vSet: 1.5, vReset: -1.5, vRead: 0.1,
+        rise: 0.1e-6, fall: 0.1e-6, width: 1.5e-6, period: 3.5e-6, count: 2
+    },
+    staircase: { start: -1, stop: 1, step: 0.1, dwell: 0.5e-6, mode: 'single' },
+    pwl: {}
+};
+
+// Inline JSON, or the path of a JSON file
+function readJSON(value, what) {
+    const text = /^\s*[{[]/.test(value) ? value : readFileSync(value, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid ${what} JSON: ${error.message}`);
+    }
+}
+
+function parseNumber(value, what) {
+    const number = Number(value);
+    if (value === undefined || value.trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`${what} must be a number, got "${value}"`);
+    }
+    return number;
+}
+
+// Thermal node spec; every field must be a positive number
+function parseThermal(spec) {
+    const thermal = { R_th: 1e4, C_th: 1e-12, T_amb: 300, ...spec };
+    Object.entries(thermal).forEach(([key, value]) => {
+        if (!['R_th', 'C_th', 'T_amb'].includes(key)) {
+            throw new Error(`Unknown thermal field "${key}" (expected R_th, C_th or T_amb)`);
+        }
+        if (!(typeof value === 'number' && value > 0)) {
+            throw new Error(`thermal ${key} must be a positive number`);
+        }
+    });
+    return thermal;
+}
+
+// Relaxation spec: tau and T positive, rest within [0, 1], Ea not negative
+function parseRelaxation(spec) {
+    const relaxation = { tau: 1, rest: 0, Ea: 0, T: 300, ...spec };
+    const valid = {
+        tau: value => value > 0,
+        rest: value => value >= 0 && value <= 1,
+        Ea: value => value >= 0,
+        T: value => value > 0
+    };
+    Object.entries(relaxation).forEach(([key, value]) => {
+        if (!(key in valid)) {
+            throw new Error(`Unknown relaxation field "${key}" (expected tau, rest, Ea or T)`);
+        }
+        if (typeof value !== 'number' || !valid[key](value)) {
+            throw new Error(`relaxation ${key} is out of range: ${value}`);
+        }
+    });
+    return relaxation;
+}
+
+// Time step and voltage sequence of a stimulus spec
+function generateStimulus(spec) {
+    const type = spec.type || 'sine';
+    if (!(type in SOURCE_DEFAULTS)) {
+        throw new Error(`Unknown stimulus type "${type}" (expected one of ${Object.keys(SOURCE_DEFAULTS).join(', ')})`);
+    }
+    const source = { ...SOURCE_DEFAULTS[type], ...spec };
+    if (typeof source.pattern === 'string') source.pattern = parsePulsePattern(source.pattern);
+    if (type === 'pwl' && !Array.isArray(source.points)) {
+        throw new Error('A pwl stimulus needs points: [[t, V], ...]');
+    }
+
+    const { frequency = 160e3, amplitude = 1, dt = 1e-8 } = source;
+    const duration = source.duration ?? (type === 'pwl' ? source.points[source.points.length - 1][0] : 30e-6);
+    if (!(dt > 0) || !(duration > 0)) {
+        throw new Error('duration and dt must be positive');
+    }
+
+    const t = Array.from({ length: Math.floor(duration / dt) }, (_, i) => i * dt);
+    return { dt, V_seq: generateWaveform(type, t, frequency, amplitude, source) };
+}
+
+function describeModel(name) {
+    const model = modelRegistry[name];
+    if (!model) {
+        throw new Error(`Unknown model "${name}" (expected one of ${Object.keys(modelRegistry).join(', ')})`);
+    }
+    const lines = model.type.parameters.map(param => {
+        const unit = param.unit ? ` ${param.unit}` : '';
+        const range = param.options ? `  (${Object.keys(param.options).join(', ')})`
+            : param.hidden ? '' : `  [${param.min}, ${param.max}]${param.scale === 'log' ? ' log' : ''}`;
+        return `  ${param.key.padEnd(10)} ${String(param.default)}${unit}${range}`;
+    });
+    return `${model.name} model parameters (default, range):\n${lines.join('\n')}`;
+}
+
+// Round trip of the exported subcircuit through a locally installed ngspice;
+// fails when the RMS current error exceeds tolerance times the peak current
+function checkNgspice(name, params, V_seq, dt, options, trace, tolerance) {
+    if (options.compliance !== undefined || options.thermal || options.relaxation) {
+        throw new Error('--ngspice-check does not model --compliance, --thermal or --relaxation');
+    }
+    const dir = mkdtempSync(join(tmpdir(), 'memristor-sim-'));
+    try {
+        const netlist = join(dir, 'check.cir');
+        const output = join(dir, 'current.txt');
+        writeFileSync(netlist, spiceTestbench(name, params, V_seq, dt, output, options.seriesResistance));
+
+        const result = spawnSync('ngspice', ['-b', netlist], { encoding: 'utf8' });
+        if (result.error) {
+            throw new Error(result.error.code === 'ENOENT' ? 'ngspice was not found on the PATH' : result.error.message);
+        }
+        if (!existsSync(output)) {
+            throw new Error(`ngspice wrote no results:\n${result.stderr || result.stdout}`);
+        }
+
+        const { rms, normalized, points } = compareCurrents(trace, parseSpiceOutput(readFileSync(output, 'utf8')));
+        const pass = normalized <= tolerance;
+        process.stdout.write(`ngspice round trip of ${name}: RMS current error ${rms.toExponential(3)} A, ` +
+            `${(normalized * 100).toFixed(2)}% of peak over ${points} samples (tolerance ${(tolerance * 100).toFixed(2)}%): ` +
+            `${pass ? 'pass' : 'FAIL'}\n`);
+        if (!pass) process.exitCode = 1;
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function toCSV(trace) {
+    const lines = [trace.T ? 't,V_source,V_device,I,state,M,T' : 't,V_source,V_device,I,state,M'];
+    for (let i = 0; i < trace.t.length; i++) {
+        const row = [trace.t[i], trace.V[i], trace.Vd[i], trace.I[i], trace.state[i], trace.M[i]];
+        if (trace.T) row.push(trace.T[i]);
+        lines.push(row.join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            model: { type: 'string', short: 'm' },
+            params: { type: 'string', short: 'p' },
+            stimulus: { type: 'string', short: 's' },
+            method: { type: 'string', default: 'euler' },
+            rtol: { type: 'string' },
+            atol: { type: 'string' },
+            'series-resistance': { type: 'string' },
+            compliance: { type: 'string' },
+            thermal: { type: 'string' },
+            relaxation: { type: 'string' },
+            format: { type: 'string', short: 'f', default: 'csv' },
+            export: { type: 'string' },
+            'ngspice-check': { type: 'boolean' },
+            tolerance: { type: 'string', default: '0.05' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write((values.model ? describeModel(values.model) : USAGE) + '\n');
+        return;
+    }
+    if (!values.model) {
+        throw new Error('--model is required');
+    }
+    if (!['euler', 'rk4', 'rk45'].includes(values.method)) {
+        throw new Error(`Unknown method "${values.method}" (expected euler, rk4 or rk45)`);
+    }
+    if (!['csv', 'json'].includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}" (expected csv or json)`);
+    }
+
+    const params = values.params ? readJSON(values.params, 'parameter') : {};
+    if (values.export !== undefined) {
+        const exporters = { 'verilog-a': exportVerilogA, spice: exportSpice };
+        if (!(values.export in exporters)) {
+            throw new Error(`Unknown export format "${values.export}" (expected verilog-a or spice)`);
+        }
+        process.stdout.write(exporters[values.export](values.model, params));
+        return;
+    }
+
+    const stimulus = values.stimulus ? readJSON(values.stimulus, 'stimulus') : {};
+    const options = { method: values.method };
+    if (values.rtol !== undefined) options.rtol = parseNumber(values.rtol, '--rtol');
+    if (values.atol !== undefined) options.atol = parseNumber(values.atol, '--atol');
+    if (values['series-resistance'] !== undefined) {
+        options.seriesResistance = parseNumber(values['series-resistance'], '--series-resistance');
+    }
+    if (values.compliance !== undefined) options.compliance = parseNumber(values.compliance, '--compliance');
+    if (values.thermal !== undefined) options.thermal = parseThermal(readJSON(values.thermal, 'thermal'));
+    if (values.relaxation !== undefined) options.relaxation = parseRelaxation(readJSON(values.relaxation, 'relaxation'));
+
+    const memristor = createModel(values.model, params);
+    const { dt, V_seq } = generateStimulus(stimulus);
+    const trace = simulateMemristor(memristor, V_seq, dt, options);
+
+    if (values['ngspice-check']) {
+        checkNgspice(values.model, params, V_seq, dt, options, trace, parseNumber(values.tolerance, '--tolerance'));
+        return;
+    }
+    if (values.format === 'json') {
+        const { stats, ...arrays } = trace;
+        const samples = Object.fromEntries(Object.entries(arrays)
+            .filter(([, array]) => array !== null)
+            .map(([key, array]) => [key, Array.from(array)]));
+        process.stdout.write(JSON.stringify({ model: values.model, params, stimulus, options, stats, trace: samples }) + '\n');
+    } else {
+        process.stdout.write(toCSV(trace));
+    }
+}
+
+// A closed pipe (e.g. into head) just ends the output
+process.stdout.on('error', error => {
+    if (error.code !== 'EPIPE') throw error;
+    process.exit(0);
+});
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`memristor-sim: ${error.message}\n`);
+    process.exitCode = 1;
+}
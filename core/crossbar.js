@@ -0,0 +1,328 @@
+// Crossbar arrays
+// Normalized state in [0, 1] between the model's state bounds
+export function normalizedState(memristor) {
+    const [lo, hi] = memristor.stateBounds();
+    return (memristor.getState() - lo) / ((hi - lo) || 1);
+}
+
+// Drives the state to the bound with the lower (LRS) or higher (HRS) memristance
+export function setResistiveState(memristor, lrs) {
+    const [lo, hi] = memristor.stateBounds();
+    memristor.setState(lo);
+    const M_lo = memristor.M;
+    memristor.setState(hi);
+    const M_hi = memristor.M;
+    memristor.setState((M_lo < M_hi) === lrs ? lo : hi);
+}
+
+// Solves G x = b for the unknown node voltages of a resistive network with
+// preconditioned conjugate gradients. edges holds [a, b, g] conductances
+// between nodes, fixed[k] is the voltage of a driven node or null, and x0 the
+// initial guess for every node. chains lists runs of unknown nodes connected
+// in series (resistive lines); the preconditioner solves each chain exactly
+// as a tridiagonal system and falls back to the diagonal for the other nodes.
+export function solveNetwork(nodeCount, edges, fixed, x0, chains = []) {
+    const unknown = new Int32Array(nodeCount).fill(-1);
+    let n = 0;
+    for (let k = 0; k < nodeCount; k++) {
+        if (fixed[k] === null) unknown[k] = n++;
+    }
+
+    const diag = new Float64Array(n);
+    const rhs = new Float64Array(n);
+    const coupling = new Map();
+    for (const [a, b, g] of edges) {
+        const ua = unknown[a];
+        const ub = unknown[b];
+        if (ua >= 0) diag[ua] += g;
+        if (ub >= 0) diag[ub] += g;
+        if (ua >= 0 && ub < 0) rhs[ua] += g * fixed[b];
+        if (ub >= 0 && ua < 0) rhs[ub] += g * fixed[a];
+        if (ua >= 0 && ub >= 0) {
+            const key = ua < ub ? ua * n + ub : ub * n + ua;
+            coupling.set(key, (coupling.get(key) || 0) + g);
+        }
+    }
+
+    const multiply = (x, y) => {
+        y.fill(0);
+        for (const [a, b, g] of edges) {
+            const ua = unknown[a];
+            const ub = unknown[b];
+            if (ua >= 0 && ub >= 0) {
+                const d = g * (x[ua] - x[ub]);
+                y[ua] += d;
+                y[ub] -= d;
+            } else if (ua >= 0) {
+                y[ua] += g * x[ua];
+            } else if (ub >= 0) {
+                y[ub] += g * x[ub];
+            }
+        }
+    };
+
+    // Thomas algorithm factors of every chain
+    const inChain = new Uint8Array(n);
+    const factors = chains.map(chain => {
+        const idx = chain.map(k => unknown[k]);
+        const off = idx.slice(1).map((u, m) => {
+            const v = idx[m];
+            return -(coupling.get(u < v ? u * n + v : v * n + u) || 0);
+        });
+        const cPrime = new Float64Array(idx.length);
+        const denom = new Float64Array(idx.length);
+        idx.forEach((u, m) => {
+            inChain[u] = 1;
+            denom[m] = diag[u] - (m > 0 ? off[m - 1] * cPrime[m - 1] : 0);
+            cPrime[m] = m < off.length ? off[m] / denom[m] : 0;
+        });
+        return { idx, off, cPrime, denom };
+    });
+
+    const precondition = (r, z) => {
+        for (let k = 0; k < n; k++) {
+            if (!inChain[k]) z[k] = r[k] / diag[k];
+        }
+        for (const { idx, off, cPrime, denom } of factors) {
+            for (let m = 0; m < idx.length; m++) {
+                z[idx[m]] = (r[idx[m]] - (m > 0 ? off[m - 1] * z[idx[m - 1]] : 0)) / denom[m];
+            }
+            for (let m = idx.length - 2; m >= 0; m--) {
+                z[idx[m]] -= cPrime[m] * z[idx[m + 1]];
+            }
+        }
+    };
+
+    const x = new Float64Array(n);
+    for (let k = 0; k < nodeCount; k++) {
+        if (unknown[k] >= 0) x[unknown[k]] = x0[k];
+    }
+    const r = new Float64Array(n);
+    const z = new Float64Array(n);
+    const p = new Float64Array(n);
+    const q = new Float64Array(n);
+    const dot = (u, v) => u.reduce((sum, uk, k) => sum + uk * v[k], 0);
+
+    multiply(x, q);
+    for (let k = 0; k < n; k++) {
+        r[k] = rhs[k] - q[k];
+    }
+    precondition(r, z);
+    p.set(z);
+    const tolerance = 1e-20 * Math.max(dot(rhs, rhs), 1e-30);
+    let rz = dot(r, z);
+
+    for (let iteration = 0; iteration < 10 * n + 10; iteration++) {
+        if (dot(r, r) <= tolerance) break;
+
+        multiply(p, q);
+        const alpha = rz / dot(p, q);
+        for (let k = 0; k < n; k++) {
+            x[k] += alpha * p[k];
+            r[k] -= alpha * q[k];
+        }
+        precondition(r, z);
+        const rzNext = dot(r, z);
+        const beta = rzNext / rz;
+        rz = rzNext;
+        for (let k = 0; k < n; k++) {
+            p[k] = z[k] + beta * p[k];
+        }
+    }
+
+    return Array.from({ length: nodeCount }, (_, k) => (fixed[k] === null ? x[unknown[k]] : fixed[k]));
+}
+
+// rows x cols passive (1R) crossbar: word lines (rows) cross bit lines
+// (columns) with one memristor per crossing, oriented from row to column.
+// Rows are driven from column 0 and columns from the last row; with a wire
+// resistance every line segment between two crossings is a resistor.
+export class CrossbarArray {
+    constructor(rows, cols, createCell, { wireResistance = 0 } = {}) {
+        this.rows = rows;
+        this.cols = cols;
+        this.wireResistance = wireResistance;
+        this.cells = Array.from({ length: rows }, () => Array.from({ length: cols }, () => createCell()));
+        this.guess = null;
+    }
+
+    // Secant conductance I(v) / v, the slope at the origin for v near 0, and a
+    // minimum conductance so the network stays solvable
+    static cellConductance(cell, v) {
+        const G_MIN = 1e-12;
+        if (Math.abs(v) < 1e-9) {
+            const delta = 1e-6;
+            return Math.max(G_MIN, (cell.getCurrent(delta) - cell.getCurrent(-delta)) / (2 * delta));
+        }
+        return Math.max(G_MIN, cell.getCurrent(v) / v);
+    }
+
+    // lines.rows / lines.cols hold the driven voltage of each line, or null
+    // for a floating line. Nonlinear cells are handled by iterating the secant
+    // conductances to a fixed point.
+    solve(lines) {
+        const { rows, cols } = this;
+        const wire = this.wireResistance > 0;
+        const fixed = [];
+        const edges = [];
+        const addNode = voltage => fixed.push(voltage) - 1;
+
+        // Crossing nodes of each row and column line
+        const rowNode = [];
+        const colNode = [];
+        for (let i = 0; i < rows; i++) {
+            if (wire) {
+                rowNode.push(Array.from({ length: cols }, () => addNode(null)));
+            } else {
+                const node = addNode(lines.rows[i]);
+                rowNode.push(Array(cols).fill(node));
+            }
+        }
+        for (let j = 0; j < cols; j++) {
+            if (wire) {
+                colNode.push(Array.from({ length: rows }, () => addNode(null)));
+            } else {
+                const node = addNode(lines.cols[j]);
+                colNode.push(Array(rows).fill(node));
+            }
+        }
+
+        // Wire segments and driver connections
+        if (wire) {
+            const g = 1 / this.wireResistance;
+            for (let i = 0; i < rows; i++) {
+                if (lines.rows[i] !== null) edges.push([addNode(lines.rows[i]), rowNode[i][0], g]);
+                for (let j = 0; j + 1 < cols; j++) edges.push([rowNode[i][j], rowNode[i][j + 1], g]);
+            }
+            for (let j = 0; j < cols; j++) {
+                if (lines.cols[j] !== null) edges.push([addNode(lines.cols[j]), colNode[j][rows - 1], g]);
+                for (let i = 0; i + 1 < rows; i++) edges.push([colNode[j][i], colNode[j][i + 1], g]);
+            }
+        }
+
+        const cellEdges = [];
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                cellEdges.push([rowNode[i][j], colNode[j][i], 0]);
+            }
+        }
+
+        const nodeCount = fixed.length;
+        let x = this.guess && this.guess.length === nodeCount ? this.guess : new Array(nodeCount).fill(0);
+        const cellV = Array.from({ length: rows }, (_, i) =>
+            Array.from({ length: cols }, (_, j) => x[rowNode[i][j]] - x[colNode[j][i]]));
+
+        for (let iteration = 0; iteration < 50; iteration++) {
+            let k = 0;
+            for (let i = 0; i < rows; i++) {
+                for (let j = 0; j < cols; j++) {
+                    const edge = cellEdges[k++];
+                    edge[2] = CrossbarArray.cellConductance(this.cells[i][j], x[edge[0]] - x[edge[1]]);
+                }
+            }
+
+            x = solveNetwork(nodeCount, edges.concat(cellEdges), fixed, x, wire ? rowNode.concat(colNode) : []);
+
+            let change = 0;
+            k = 0;
+            for (let i = 0; i < rows; i++) {
+                for (let j = 0; j < cols; j++) {
+                    const edge = cellEdges[k++];
+                    const v = x[edge[0]] - x[edge[1]];
+                    change = Math.max(change, Math.abs(v - cellV[i][j]));
+                    cellV[i][j] = v;
+                }
+            }
+            if (change < 1e-9) break;
+        }
+        this.guess = x;
+
+        const cellI = cellV.map((row, i) => row.map((v, j) => this.cells[i][j].getCurrent(v)));
+        const columnCurrents = Array.from({ length: cols }, (_, j) => cellI.reduce((sum, row) => sum + row[j], 0));
+        return { cellV, cellI, columnCurrents };
+    }
+}
+
+// Line voltages for accessing cell (row, col) with amplitude V:
+// v2 / v3 - write schemes biasing the unselected lines at V/2, or V/3 and 2V/3
+// floating / grounded - read schemes leaving the unselected lines floating or at 0 V
+export function crossbarLines(scheme, rows, cols, row, col, V) {
+    const bias = {
+        v2: [V / 2, V / 2],
+        v3: [V / 3, 2 * V / 3],
+        floating: [null, null],
+        grounded: [0, 0]
+    }[scheme];
+    if (!bias) {
+        throw new Error(`Unknown crossbar scheme: ${scheme}`);
+    }
+
+    const lines = { rows: new Array(rows).fill(bias[0]), cols: new Array(cols).fill(bias[1]) };
+    lines.rows[row] = V;
+    lines.cols[col] = 0;
+    return lines;
+}
+
+// Reads cell (row, col): the sensed column current, the selected cell's own
+// current, the sneak-path remainder and the read margin (I_LRS - I_HRS) / I_LRS
+// of the sensed current with the selected cell switched to either state
+export function crossbarRead(array, row, col, V_read, scheme) {
+    const lines = crossbarLines(scheme, array.rows, array.cols, row, col, V_read);
+    const result = array.solve(lines);
+    const senseCurrent = result.columnCurrents[col];
+    const cellCurrent = result.cellI[row][col];
+
+    const cell = array.cells[row][col];
+    const saved = cell.getState();
+    setResistiveState(cell, true);
+    const I_lrs = array.solve(lines).columnCurrents[col];
+    setResistiveState(cell, false);
+    const I_hrs = array.solve(lines).columnCurrents[col];
+    cell.setState(saved);
+
+    return {
+        senseCurrent,
+        cellCurrent,
+        sneakCurrent: senseCurrent - cellCurrent,
+        margin: (I_lrs - I_hrs) / I_lrs
+    };
+}
+
+// Applies a write pulse of the given width to cell (row, col), stepping every
+// cell with its own voltage. Reports the normalized states before and after,
+// the cell voltages at the start of the pulse and the state disturb of the
+// half-selected cells (sharing the row or column) and of the other cells.
+export function crossbarWrite(array, row, col, V_write, scheme, width, dt, maxSteps = 1000) {
+    const lines = crossbarLines(scheme, array.rows, array.cols, row, col, V_write);
+    const steps = Math.max(1, Math.min(maxSteps, Math.ceil(width / dt - 1e-9)));
+    const h = width / steps;
+    const states = () => array.cells.map(cells => cells.map(normalizedState));
+
+    const before = states();
+    let cellV = null;
+    for (let k = 0; k < steps; k++) {
+        const result = array.solve(lines);
+        if (k === 0) cellV = result.cellV;
+        array.cells.forEach((cells, i) => cells.forEach((cell, j) => cell.updateState(result.cellV[i][j], h)));
+    }
+    const after = states();
+
+    let halfSelected = 0;
+    let unselected = 0;
+    after.forEach((values, i) => values.forEach((value, j) => {
+        const change = Math.abs(value - before[i][j]);
+        if (i === row && j === col) return;
+        if (i === row || j === col) halfSelected = Math.max(halfSelected, change);
+        else unselected = Math.max(unselected, change);
+    }));
+
+    return {
+        before,
+        after,
+        cellV,
+        steps,
+        selectedChange: after[row][col] - before[row][col],
+        halfSelectedDisturb: halfSelected,
+        unselectedDisturb: unselected
+    };
+}
@@ -0,0 +1,69 @@
+import { modelRegistry, createModel } from './models.js';
+
+// State dynamics
+// Rate of the normalized state, dx/dt = (ds/dt) / (upper - lower), that the
+// device's stateDerivative gives at every normalized state (rows) and device
+// voltage (columns)
+export function stateDerivativeMap(createDevice, voltages, states) {
+    const device = createDevice();
+    const [lo, hi] = device.stateBounds();
+    const span = (hi - lo) || 1;
+    return states.map(x => {
+        device.setState(lo + x * span);
+        return voltages.map(V => device.stateDerivative(V) / span);
+    });
+}
+
+// Switching thresholds at every normalized state: the lowest positive and the
+// highest negative device voltage within ±V_max at which the state moves at
+// all, found on a scan of points voltages per polarity and refined by
+// bisection. null where the state moves at the smallest scanned voltage (no
+// threshold) or at none.
+export function thresholdCurves(createDevice, states, V_max, points = 200) {
+    const device = createDevice();
+    const [lo, hi] = device.stateBounds();
+    const threshold = sign => {
+        const moves = V => device.stateDerivative(sign * V) !== 0;
+        let k = 1;
+        while (k <= points && !moves(V_max * k / points)) k++;
+        if (k === 1 || k > points) return null;
+
+        let a = V_max * (k - 1) / points;
+        let b = V_max * k / points;
+        for (let j = 0; j < 50; j++) {
+            const m = (a + b) / 2;
+            if (moves(m)) b = m;
+            else a = m;
+        }
+        return sign * b;
+    };
+    const positive = [];
+    const negative = [];
+    states.forEach(x => {
+        device.setState(lo + x * (hi - lo));
+        positive.push(threshold(1));
+        negative.push(threshold(-1));
+    });
+    return { positive, negative };
+}
+
+// Thresholds and window edges that the named model declares through its
+// static thresholds(params): voltages as [label, V] and states as
+// [label, x] with x normalized to the state bounds; states outside the
+// bounds are left out
+export function modelThresholds(name, params = {}) {
+    const { type } = modelRegistry[name];
+    if (typeof type.thresholds !== 'function') return { voltages: [], states: [] };
+
+    const [lo, hi] = createModel(name, params).stateBounds();
+    const { voltages = [], states = [] } = type.thresholds({
+        ...Object.fromEntries(type.parameters.map(param => [param.key, param.default])),
+        ...params
+    });
+    return {
+        voltages,
+        states: states
+            .map(([label, s]) => [label, (s - lo) / ((hi - lo) || 1)])
+            .filter(([, x]) => x >= 0 && x <= 1)
+    };
+}
@@ -0,0 +1,171 @@
+import { modelRegistry, createModel } from './models.js';
+
+// Netlist export
+// A model's netlist(params) equations become a Verilog-A module or an ngspice
+// subcircuit between the terminals pos and neg. Both integrate the state
+// normalized to x = (s - lower) / (upper - lower) on an internal node with
+// ds/dt / (upper - lower); its rate is cut off at the bounds and the state
+// the equations see is clamped to [0, 1], as the JS integrators clamp it.
+const TOKEN = /\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|[A-Za-z_]\w*/g;
+
+// Replaces the identifiers of expr that name[identifier] maps; numbers,
+// functions and other names are kept
+function substitute(expr, names) {
+    return expr.replace(TOKEN, token => (Object.hasOwn(names, token) ? names[token] : token));
+}
+
+function formatNumber(value) {
+    return String(Number(value.toPrecision(12)));
+}
+
+// Equations, numeric parameter values referenced by them and the normalized
+// initial state of the named model with the given parameters
+function describeNetlist(name, params) {
+    const device = createModel(name, params);
+    const { type } = modelRegistry[name];
+    const equations = type.netlist({
+        ...Object.fromEntries(type.parameters.map(param => [param.key, param.default])),
+        ...params
+    });
+
+    const text = [equations.lower, equations.upper, equations.current, equations.derivative,
+        ...equations.defs.map(([, expr]) => expr)].join(' ');
+    const used = new Set(text.match(TOKEN));
+    const values = type.parameters
+        .filter(param => !param.options && used.has(param.key))
+        .map(param => [param.key, params[param.key] !== undefined ? params[param.key] : param.default]);
+
+    const [lo, hi] = device.stateBounds();
+    const x0 = hi > lo ? (device.getState() - lo) / (hi - lo) : 0;
+    return { equations, values, x0 };
+}
+
+export function exportVerilogA(name, params = {}) {
+    const { equations, values, x0 } = describeNetlist(name, params);
+    const { lower, upper, defs, current, derivative } = equations;
+    const locals = ['v', 's', ...defs.map(([key]) => key), 'ds'];
+
+    return [
+        `// ${modelRegistry[name].name} memristor exported from memristor-simulator`,
+        '`include "disciplines.vams"',
+        '',
+        `module ${name}(pos, neg);`,
+        '    inout pos, neg;',
+        '    electrical pos, neg;',
+        '    electrical x;',
+        '',
+        ...values.map(([key, value]) => `    parameter real ${key} = ${formatNumber(value)};`),
+        `    parameter real x0 = ${formatNumber(x0)};`,
+        '',
+        `    real ${locals.join(', ')};`,
+        '',
+        '    analog begin',
+        '        v = V(pos, neg);',
+        `        s = ${lower} + (${upper} - ${lower})*min(max(V(x), 0), 1);`,
+        ...defs.map(([key, expr]) => `        ${key} = ${expr};`),
+        `        ds = (${derivative})/(${upper} - ${lower});`,
+        '        V(x) <+ idt(((ds > 0 && V(x) >= 1) || (ds < 0 && V(x) <= 0)) ? 0 : ds, x0);',
+        `        I(pos, neg) <+ ${current};`,
+        '    end',
+        'endmodule',
+        ''
+    ].join('\n');
+}
+
+// Behavioral subcircuit for ngspice: parameters are subcircuit parameters in
+// braces and the helper quantities are expanded in place. The state starts
+// from x0 only in a transient analysis run with uic.
+export function exportSpice(name, params = {}) {
+    const { equations, values, x0 } = describeNetlist(name, params);
+    const { lower, upper, defs, current, derivative } = equations;
+
+    const names = Object.fromEntries(values.map(([key]) => [key, `{${key}}`]));
+    const lo = substitute(lower, names);
+    const hi = substitute(upper, names);
+    names.v = 'V(pos,neg)';
+    names.s = `(${lo} + (${hi} - ${lo})*min(max(V(x), 0), 1))`;
+    defs.forEach(([key, expr]) => {
+        names[key] = `(${substitute(expr, names)})`;
+    });
+    const ds = `((${substitute(derivative, names)})/(${hi} - ${lo}))`;
+
+    const parameters = [...values.map(([key, value]) => `${key}=${formatNumber(value)}`), `x0=${formatNumber(x0)}`];
+    return [
+        `* ${modelRegistry[name].name} memristor exported from memristor-simulator`,
+        '* Terminals pos and neg; the normalized state is the voltage of node x.',
+        '* Run transient analyses with uic so that the state starts from x0.',
+        `.subckt ${name} pos neg`,
+        ...parameters.map((param, k) => (k === 0 ? `+ params: ${param}` : `+ ${param}`)),
+        `Bx 0 x I = ((${ds} > 0 && V(x) >= 1) || (${ds} < 0 && V(x) <= 0)) ? 0 : ${ds}`,
+        'Cx x 0 1 IC={x0}',
+        'Rx x 0 1e12',
+        `Bm pos neg I = ${substitute(current, names)}`,
+        `.ends ${name}`,
+        ''
+    ].join('\n');
+}
+
+// Transient testbench for the exported subcircuit: the stimulus as a PWL
+// source driving the device, optionally through a series resistance, with
+// the time and device current written to outputFile as two columns
+export function spiceTestbench(name, params, V_seq, dt, outputFile, seriesResistance = 0) {
+    const points = V_seq.map((V, i) => `${formatNumber(i * dt)} ${formatNumber(V)}`);
+    const lines = [];
+    for (let k = 0; k < points.length; k += 4) {
+        lines.push(`+ ${points.slice(k, k + 4).join(' ')}`);
+    }
+    const stop = (V_seq.length - 1) * dt;
+
+    return [
+        `* Round trip check of the exported ${modelRegistry[name].name} model`,
+        exportSpice(name, params),
+        'Vsrc in 0 PWL(',
+        ...lines,
+        '+ )',
+        ...(seriesResistance > 0 ? [`Rs in dev ${formatNumber(seriesResistance)}`, `Xm dev 0 ${name}`] : [`Xm in 0 ${name}`]),
+        `.tran ${formatNumber(dt)} ${formatNumber(stop)} 0 ${formatNumber(dt)} uic`,
+        '.control',
+        'set filetype=ascii',
+        'set wr_singlescale',
+        'run',
+        'let idev = -i(Vsrc)',
+        `wrdata ${outputFile} idev`,
+        'quit',
+        '.endc',
+        '.end',
+        ''
+    ].join('\n');
+}
+
+// Columns of ngspice wrdata output: time and value per line
+export function parseSpiceOutput(text) {
+    const t = [];
+    const values = [];
+    text.split(/\r?\n/).forEach(line => {
+        const cells = line.trim().split(/\s+/).map(Number);
+        if (cells.length >= 2 && cells.every(Number.isFinite)) {
+            t.push(cells[0]);
+            values.push(cells[1]);
+        }
+    });
+    return { t, values };
+}
+
+// RMS difference between the JS current and the ngspice one interpolated at
+// the JS sample times, absolute and normalized to the peak JS current
+export function compareCurrents(trace, spice) {
+    let k = 0;
+    let sum = 0;
+    let peak = 0;
+    trace.t.forEach((time, i) => {
+        while (k < spice.t.length - 2 && spice.t[k + 1] < time) k++;
+        const t0 = spice.t[k];
+        const t1 = spice.t[k + 1];
+        const f = t1 > t0 ? Math.min(1, Math.max(0, (time - t0) / (t1 - t0))) : 0;
+        const I = spice.values[k] + (spice.values[k + 1] - spice.values[k]) * f;
+        sum += (I - trace.I[i]) ** 2;
+        peak = Math.max(peak, Math.abs(trace.I[i]));
+    });
+    const rms = Math.sqrt(sum / trace.t.length);
+    return { rms, normalized: peak > 0 ? rms / peak : 0, points: trace.t.length };
+}
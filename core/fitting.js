@@ -0,0 +1,104 @@
+// Parameter fitting
+// Nelder-Mead simplex search on the unit box [0, 1]^n: vertices are projected
+// back into the box, so callers map their bounded parameters onto [0, 1].
+// The cost may return a promise (e.g. a simulation run in a worker), so
+// iterate() is async: the first call evaluates the initial simplex and every
+// call performs one simplex update. Non-finite costs count as Infinity; a
+// simplex with no finite cost has no best vertex to converge on, so after
+// maxInfeasible such iterations in a row iterate() gives up with an error.
+export class NelderMeadOptimizer {
+    constructor(cost, x0, { initialStep = 0.1, tolerance = 1e-6, maxInfeasible = 10 } = {}) {
+        this.cost = cost;
+        this.tolerance = tolerance;
+        this.maxInfeasible = maxInfeasible;
+        this.iteration = 0;
+        this.evaluations = 0;
+        this.infeasible = 0;
+
+        this.initialStep = initialStep;
+        this.start = x0.map(NelderMeadOptimizer.project);
+        this.simplex = null;
+    }
+
+    static project(u) {
+        return Math.max(0, Math.min(1, u));
+    }
+
+    // Best vertex so far; null before the first iteration
+    get best() {
+        return this.simplex ? this.simplex[0] : null;
+    }
+
+    async _vertex(x) {
+        const projected = x.map(NelderMeadOptimizer.project);
+        this.evaluations++;
+        const f = await this.cost(projected);
+        return { x: projected, f: Number.isFinite(f) ? f : Infinity };
+    }
+
+    async _initialize() {
+        const { start, initialStep } = this;
+        this.simplex = [await this._vertex(start)];
+        for (let j = 0; j < start.length; j++) {
+            const x = start.slice();
+            x[j] += x[j] + initialStep <= 1 ? initialStep : -initialStep;
+            this.simplex.push(await this._vertex(x));
+        }
+        this._sort();
+    }
+
+    _sort() {
+        this.simplex.sort((a, b) => a.f - b.f);
+    }
+
+    // Point along the line from the centroid c through the worst vertex w
+    _along(c, w, coefficient) {
+        return c.map((ci, j) => ci + coefficient * (w[j] - ci));
+    }
+
+    // Resolves to true once the simplex has collapsed in both size and cost spread
+    async iterate() {
+        if (!this.simplex) await this._initialize();
+        const n = this.simplex.length - 1;
+        const worst = this.simplex[n];
+        const centroid = this.simplex[0].x.map((_, j) =>
+            this.simplex.slice(0, n).reduce((sum, v) => sum + v.x[j], 0) / n);
+
+        const reflected = await this._vertex(this._along(centroid, worst.x, -1));
+        if (reflected.f < this.simplex[0].f) {
+            const expanded = await this._vertex(this._along(centroid, worst.x, -2));
+            this.simplex[n] = expanded.f < reflected.f ? expanded : reflected;
+        } else if (reflected.f < this.simplex[n - 1].f) {
+            this.simplex[n] = reflected;
+        } else {
+            const outside = reflected.f < worst.f;
+            const contracted = await this._vertex(this._along(centroid, worst.x, outside ? -0.5 : 0.5));
+            if (contracted.f < Math.min(worst.f, reflected.f)) {
+                this.simplex[n] = contracted;
+            } else {
+                // Shrink towards the best vertex
+                const best = this.simplex[0].x;
+                for (let k = 1; k <= n; k++) {
+                    this.simplex[k] = await this._vertex(best.map((bj, j) => bj + 0.5 * (this.simplex[k].x[j] - bj)));
+                }
+            }
+        }
+
+        this._sort();
+        this.iteration++;
+
+        if (this.simplex[0].f === Infinity) {
+            this.infeasible++;
+            if (this.infeasible >= this.maxInfeasible) {
+                throw new Error(`No finite cost in ${this.evaluations} evaluations`);
+            }
+            return false;
+        }
+        this.infeasible = 0;
+
+        const spread = this.simplex[n].f - this.simplex[0].f;
+        const size = Math.max(...this.simplex.slice(1).map(v =>
+            Math.max(...v.x.map((xj, j) => Math.abs(xj - this.simplex[0].x[j])))));
+        return spread <= this.tolerance * (Math.abs(this.simplex[0].f) + 1e-12) && size < 1e-4;
+    }
+}
@@ -0,0 +1,19 @@
+// Simulation core: models, sources, integrators and analyses, free of any
+// DOM access so that it runs in the browser and under Node alike
+export * from './models.js';
+export * from './waveforms.js';
+export * from './integrators.js';
+export * from './simulation.js';
+export * from './metrics.js';
+export * from './dynamics.js';
+export * from './crossbar.js';
+export * from './measurement.js';
+export * from './fitting.js';
+export * from './random.js';
+export * from './variability.js';
+export * from './retention.js';
+export * from './plasticity.js';
+export * from './logic.js';
+export * from './export.js';
+export * from './library.js';
+export * from './units.js';
@@ -0,0 +1,81 @@
+// Numerical integrators
+// Each one advances a scalar state s across one sample interval of length dt.
+// f(frac, s) returns ds/dt at the fraction frac (0..1) of the interval,
+// clamp keeps s inside the model's state bounds and ctx collects step statistics.
+export function eulerStep(f, s, dt, clamp, ctx) {
+    ctx.accepted++;
+    return clamp(s + f(0, s) * dt);
+}
+
+export function rk4Step(f, s, dt, clamp, ctx) {
+    const k1 = f(0, s);
+    const k2 = f(0.5, clamp(s + 0.5 * dt * k1));
+    const k3 = f(0.5, clamp(s + 0.5 * dt * k2));
+    const k4 = f(1, clamp(s + dt * k3));
+    ctx.accepted++;
+    return clamp(s + (dt / 6) * (k1 + 2 * k2 + 2 * k3 + k4));
+}
+
+// Dormand-Prince 5(4) tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+// Adaptive RK45: sub-steps the interval until the local error estimate
+// satisfies |err| <= atol * span + rtol * |s|, carrying the step size over in ctx.h
+export function rk45Step(f, s, dt, clamp, ctx) {
+    const minStep = dt * 1e-9;
+    let elapsed = 0;
+    let h = Math.min(ctx.h || dt, dt);
+
+    while (elapsed < dt) {
+        const hStep = Math.min(h, dt - elapsed);
+        const k = [];
+        for (let j = 0; j < 7; j++) {
+            let sj = s;
+            for (let m = 0; m < j; m++) {
+                sj += hStep * DP_A[j][m] * k[m];
+            }
+            k.push(f((elapsed + DP_C[j] * hStep) / dt, clamp(sj)));
+        }
+
+        let s5 = s;
+        let err = 0;
+        for (let j = 0; j < 7; j++) {
+            s5 += hStep * (DP_A[6][j] || 0) * k[j];
+            err += hStep * DP_E[j] * k[j];
+        }
+        s5 = clamp(s5);
+
+        const scale = ctx.atol * ctx.span + ctx.rtol * Math.max(Math.abs(s), Math.abs(s5));
+        const errNorm = Math.abs(err) / scale;
+
+        if (errNorm <= 1 || hStep <= minStep) {
+            s = s5;
+            elapsed += hStep;
+            ctx.accepted++;
+        } else {
+            ctx.rejected++;
+        }
+
+        const factor = errNorm === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(errNorm, -0.2)));
+        h = Math.max(minStep, hStep * factor);
+    }
+
+    ctx.h = h;
+    return s;
+}
+
+export const integrators = {
+    euler: eulerStep,
+    rk4: rk4Step,
+    rk45: rk45Step
+};
@@ -0,0 +1,20 @@
+// Literature parameter sets
+// Published parameter sets as named constructor parameters of a registered
+// model; parameters a set leaves out keep their current values. A set is
+// listed only with the publication it comes from, so not every model has one
+// yet (so far the ion drift and Yakopcic models).
+export const parameterLibrary = [
+    {
+        model: 'iondrift',
+        name: 'HP TiO₂, linear drift (Strukov et al. 2008)',
+        params: { mu_v: 1e-14, D: 10e-9, R_ON: 100, R_OFF: 16e3, window: 'none' }
+    },
+    {
+        model: 'yakopcic',
+        name: 'Ag-chalcogenide device of Oblea et al. (Yakopcic et al. 2011)',
+        params: {
+            A_p: 4000, A_n: 4000, U_p: 0.16, U_n: 0.15, alpha_p: 1, alpha_n: 5,
+            x_p: 0.3, x_n: 0.5, a1: 0.17, a2: 0.17, b: 0.05, x_init: 0.11
+        }
+    }
+];
@@ -0,0 +1,168 @@
+import { integrators } from './integrators.js';
+import { findRoot, simulateMemristor } from './simulation.js';
+import { normalizedState } from './crossbar.js';
+
+// Stateful logic
+// Logic 1 is the low-resistance state. Inputs are written 5 % inside the
+// state range from the bound of their level, since some windows pin a state
+// that sits exactly on a bound.
+const WRITE_MARGIN = 0.05;
+
+// Gates and their truth tables. IMPLY writes its result into q; the MAGIC
+// gates write theirs into an output device that is initialized to 1 first.
+export const logicGates = {
+    imply: { name: 'IMPLY', devices: ['p', 'q'], inputs: 2, truth: ([p, q]) => !p || q },
+    'magic-nor': { name: 'MAGIC NOR', devices: ['in1', 'in2', 'out'], inputs: 2, truth: ([a, b]) => !(a || b) },
+    'magic-not': { name: 'MAGIC NOT', devices: ['in', 'out'], inputs: 1, truth: ([a]) => !a }
+};
+
+// States at the device's low- and high-resistance bounds
+function resistanceBounds(device) {
+    const [lo, hi] = device.stateBounds();
+    device.setState(lo);
+    const W_lo = device.W;
+    device.setState(hi);
+    return device.W > W_lo ? { on: hi, off: lo } : { on: lo, off: hi };
+}
+
+// +1 if a positive voltage drives the device towards its low-resistance
+// state, -1 if the device has to be wired the other way round
+function setPolarity(device, V, { on, off }) {
+    device.setState((on + off) / 2);
+    const drift = device.stateDerivative(Math.abs(V)) - device.stateDerivative(-Math.abs(V));
+    if (!(drift !== 0)) {
+        throw new Error(`The device does not switch at ±${Math.abs(V)} V`);
+    }
+    return Math.sign(drift) * Math.sign(on - off);
+}
+
+// Current that an element (device, polarity o, driven at E) drives into the
+// common node at voltage V
+function elementCurrent({ device, o, E }, V) {
+    return o * device.getCurrent(o * (E - V));
+}
+
+// Voltage of the common node: the elements' currents into it balance the
+// current of the load R_G to ground
+function nodeVoltage(elements, R_G) {
+    const g = V => elements.reduce((sum, element) => sum + elementCurrent(element, V), 0) -
+        (Number.isFinite(R_G) ? V / R_G : 0);
+    const voltages = [0, ...elements.map(({ E }) => E)];
+    const a = Math.min(...voltages);
+    const b = Math.max(...voltages);
+    if (a === b) return a;
+    return findRoot(g, a, b, 1e-12 * Math.max(Math.abs(g(a)), Math.abs(g(b))));
+}
+
+// One evaluation pulse of the given width. Every sample, the devices are
+// stepped in turn with the node voltage re-solved at each evaluation, so each
+// sees the others' latest state. Returns the energy the sources deliver.
+function evaluate(elements, R_G, width, dt, options) {
+    const { method = 'euler', rtol = 1e-6, atol = 1e-9 } = options;
+    const step = integrators[method];
+    if (!step) {
+        throw new Error(`Unknown integrator: ${method}`);
+    }
+    const solvers = elements.map(({ device }) => {
+        const [lo, hi] = device.stateBounds();
+        return {
+            clamp: s => Math.max(lo, Math.min(s, hi)),
+            ctx: { rtol, atol, span: (hi - lo) || 1, h: dt, accepted: 0, rejected: 0 }
+        };
+    });
+
+    let energy = 0;
+    for (let i = 0, n = Math.max(1, Math.round(width / dt)); i < n; i++) {
+        const V = nodeVoltage(elements, R_G);
+        energy += elements.reduce((sum, element) => sum + element.E * elementCurrent(element, V), 0) * dt;
+        elements.forEach((element, k) => {
+            const { device, o, E } = element;
+            const f = (frac, s) => {
+                device.setState(s);
+                return device.stateDerivative(o * (E - nodeVoltage(elements, R_G)));
+            };
+            device.setState(step(f, device.getState(), dt, solvers[k].clamp, solvers[k].ctx));
+        });
+    }
+    return energy;
+}
+
+// Evaluates the gate for every input combination on fresh devices.
+// IMPLY: p is driven at V_COND and q at V_SET, joined at a node that R_G
+// ties to ground. MAGIC: the output device is set by a pulse of V_init, then
+// V_0 drives the inputs in parallel in series with the output to ground; the
+// output starts at 0, so the initialization is a full SET.
+// Both pulses last width and are sampled every dt with options.method; the
+// other simulation options do not apply to the gate.
+// A device reads 1 when its conductance W is above the geometric mean of the
+// written levels'. The margin is the output's log-conductance distance from
+// that threshold relative to the written level it should reach: 1 at the
+// level, 0 at the threshold and negative for a wrong result.
+export function statefulLogic(createDevice, gate, settings, options = {}) {
+    const spec = logicGates[gate];
+    if (!spec) {
+        throw new Error(`Unknown logic gate: ${gate}`);
+    }
+    const { V_COND, V_SET, R_G, V_0, V_init, width, dt } = settings;
+    const magic = gate !== 'imply';
+    if (!magic && !(R_G > 0)) {
+        throw new Error('IMPLY needs a load resistance R_G > 0');
+    }
+
+    const probe = createDevice();
+    const bounds = resistanceBounds(probe);
+    const o = setPolarity(probe, magic ? Math.max(Math.abs(V_0), Math.abs(V_init)) : Math.max(Math.abs(V_COND), Math.abs(V_SET)), bounds);
+    const levelState = bit => bounds.off + (bounds.on - bounds.off) * (bit ? 1 - WRITE_MARGIN : WRITE_MARGIN);
+    const levelW = bit => {
+        probe.setState(levelState(bit));
+        return probe.W;
+    };
+    const logW = [Math.log(levelW(0)), Math.log(levelW(1))];
+    const threshold = (logW[0] + logW[1]) / 2;
+    const read = device => (Math.log(device.W) > threshold ? 1 : 0);
+
+    const combinations = Array.from({ length: 2 ** spec.inputs }, (_, k) =>
+        Array.from({ length: spec.inputs }, (_, j) => (k >> (spec.inputs - 1 - j)) & 1));
+    const rows = combinations.map(inputs => {
+        const devices = spec.devices.map(() => createDevice());
+        inputs.forEach((bit, k) => devices[k].setState(levelState(bit)));
+        const output = devices[devices.length - 1];
+        let energy = 0;
+        let elements;
+        if (magic) {
+            output.setState(levelState(0));
+            const init = simulateMemristor(output, new Float64Array(Math.max(1, Math.round(width / dt))).fill(o * V_init),
+                dt, { method: options.method, rtol: options.rtol, atol: options.atol });
+            energy += init.Vd.reduce((sum, V, i) => sum + V * init.I[i], 0) * dt;
+            elements = devices.map((device, k) => ({ device, o, E: k < spec.inputs ? V_0 : 0 }));
+        } else {
+            elements = [{ device: devices[0], o, E: V_COND }, { device: devices[1], o, E: V_SET }];
+        }
+        energy += evaluate(elements, magic ? Infinity : R_G, width, dt, options);
+
+        const expected = spec.truth(inputs) ? 1 : 0;
+        const result = read(output);
+        const margin = (Math.log(output.W) - threshold) / (logW[expected] - threshold);
+        return {
+            inputs,
+            expected,
+            result,
+            correct: result === expected,
+            margin,
+            energy,
+            states: devices.map(normalizedState),
+            logic: devices.map(read),
+            inputsKept: inputs.every((bit, k) => devices[k] === output || read(devices[k]) === bit)
+        };
+    });
+
+    return {
+        gate,
+        devices: spec.devices,
+        polarity: o,
+        rows,
+        correct: rows.every(row => row.correct && row.inputsKept),
+        minMargin: Math.min(...rows.map(row => row.margin)),
+        energy: rows.reduce((sum, row) => sum + row.energy, 0)
+    };
+}
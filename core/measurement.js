@@ -0,0 +1,138 @@
+// Measured data import
+export const UNIT_SCALES = {
+    voltage: { V: 1, mV: 1e-3 },
+    current: { A: 1, mA: 1e-3, uA: 1e-6, nA: 1e-9 },
+    time: { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9 }
+};
+
+function detectDelimiter(line) {
+    if (line.includes('\t')) return '\t';
+    if (line.includes(';')) return ';';
+    if (line.includes(',')) return ',';
+    return ' ';
+}
+
+// Splits CSV/TSV text into rows of cells. A first row that is not numeric is
+// returned as the header. Unless the delimiter is a comma, decimal commas are
+// converted to points.
+export function parseDelimited(text, delimiter = 'auto') {
+    const lines = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('File is empty');
+    }
+
+    const sep = delimiter === 'auto' ? detectDelimiter(lines[0]) : delimiter;
+    const rows = lines.map(line => (sep === ' ' ? line.split(/\s+/) : line.split(sep))
+        .map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+        .map(cell => (sep === ',' ? cell : cell.replace(',', '.'))));
+
+    const header = rows[0].some(cell => cell !== '' && !isFinite(Number(cell))) ? rows.shift() : null;
+    const columnCount = Math.max(header ? header.length : 0, ...rows.map(row => row.length));
+    return { header, rows, columnCount };
+}
+
+// Extracts voltage, current and optionally time (timeColumn < 0 for none) in
+// SI units. Rows with missing or non-numeric cells are skipped and counted.
+export function parseMeasurement(table, { voltageColumn, currentColumn, timeColumn = -1, voltageUnit = 'V', currentUnit = 'A', timeUnit = 's' }) {
+    const columns = timeColumn >= 0 ? [voltageColumn, currentColumn, timeColumn] : [voltageColumn, currentColumn];
+    const V = [];
+    const I = [];
+    const t = [];
+    let skipped = 0;
+
+    table.rows.forEach(row => {
+        const cells = columns.map(col => row[col]);
+        if (cells.some(cell => cell === undefined || cell === '' || !isFinite(Number(cell)))) {
+            skipped++;
+            return;
+        }
+        V.push(Number(cells[0]) * UNIT_SCALES.voltage[voltageUnit]);
+        I.push(Number(cells[1]) * UNIT_SCALES.current[currentUnit]);
+        if (timeColumn >= 0) t.push(Number(cells[2]) * UNIT_SCALES.time[timeUnit]);
+    });
+
+    if (V.length === 0) {
+        throw new Error('No numeric rows in the selected columns');
+    }
+    return { V, I, t: timeColumn >= 0 ? t : null, skipped };
+}
+
+// (time, voltage) points of the measured waveform starting at t = 0, for generatePWL
+export function measuredWaveform(measurement) {
+    const { t, V } = measurement;
+    for (let k = 1; k < t.length; k++) {
+        if (t[k] <= t[k - 1]) {
+            throw new Error(`Measured time values must increase (row ${k + 1})`);
+        }
+    }
+    return t.map((time, k) => [time - t[0], V[k]]);
+}
+
+// Linear interpolation of ys(xs) at x, xs ascending; clamped at both ends
+export function interpolate(xs, ys, x) {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+    let lo = 0;
+    let hi = xs.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (xs[mid] <= x) lo = mid; else hi = mid;
+    }
+    return ys[lo] + (ys[hi] - ys[lo]) * (x - xs[lo]) / (xs[hi] - xs[lo]);
+}
+
+// Keeps every k-th measured point so that at most maxPoints remain
+export function thinMeasurement(measurement, maxPoints) {
+    const stride = Math.ceil(measurement.V.length / maxPoints);
+    if (stride <= 1) return measurement;
+    const pick = values => values && values.filter((_, k) => k % stride === 0);
+    return { ...measurement, V: pick(measurement.V), I: pick(measurement.I), t: pick(measurement.t) };
+}
+
+// RMS current error of a simulated trace against a measurement, and the same
+// normalized to the peak measured current. When the simulation was driven by
+// the measured waveform (aligned) the currents are compared at the measured
+// times; otherwise each measured point is matched to the nearest point of the
+// simulated curve in the I-V plane, scaled by the measured ranges.
+export function measurementError(trace, measurement, aligned) {
+    const { V, I } = measurement;
+    // One pass for the ranges: measurements are too long to spread into Math.max
+    let vMin = Infinity;
+    let vMax = -Infinity;
+    let iMin = Infinity;
+    let iMax = -Infinity;
+    for (let k = 0; k < V.length; k++) {
+        vMin = Math.min(vMin, V[k]);
+        vMax = Math.max(vMax, V[k]);
+        iMin = Math.min(iMin, I[k]);
+        iMax = Math.max(iMax, I[k]);
+    }
+    const vRange = (vMax - vMin) || 1;
+    const iRange = (iMax - iMin) || 1;
+    const iPeak = Math.max(Math.abs(iMin), Math.abs(iMax)) || 1;
+    let sumSq = 0;
+
+    for (let k = 0; k < V.length; k++) {
+        let I_sim;
+        if (aligned) {
+            I_sim = interpolate(trace.t, trace.I, measurement.t[k] - measurement.t[0]);
+        } else {
+            let best = Infinity;
+            for (let j = 0; j < trace.V.length; j++) {
+                const dv = (trace.V[j] - V[k]) / vRange;
+                const di = (trace.I[j] - I[k]) / iRange;
+                const d = dv * dv + di * di;
+                if (d < best) {
+                    best = d;
+                    I_sim = trace.I[j];
+                }
+            }
+        }
+        sumSq += Math.pow(I_sim - I[k], 2);
+    }
+
+    const rms = Math.sqrt(sumSq / V.length);
+    return { rms, normalized: rms / iPeak };
+}
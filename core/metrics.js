@@ -0,0 +1,221 @@
+import { simulateMemristor } from './simulation.js';
+import { generateWaveform } from './waveforms.js';
+
+// Hysteresis metrics
+// Extremes of long sample arrays, which are too large to spread into Math.max
+function maxOf(values) {
+    return values.reduce((a, b) => (b > a ? b : a), -Infinity);
+}
+
+function minOf(values) {
+    return values.reduce((a, b) => (b < a ? b : a), Infinity);
+}
+
+// Area enclosed by the I-V loop (in V·A), taken against the device
+// voltage: the integral of I dV is accumulated separately for positive and
+// negative voltages, whose lobes circulate in opposite directions in a
+// pinched loop, and the magnitudes are added. Every period of the trace counts.
+export function loopArea(trace) {
+    const { Vd, I } = trace;
+    let positive = 0;
+    let negative = 0;
+    for (let i = 1; i < Vd.length; i++) {
+        const area = 0.5 * (I[i] + I[i - 1]) * (Vd[i] - Vd[i - 1]);
+        if (Vd[i] + Vd[i - 1] >= 0) positive += area;
+        else negative += area;
+    }
+    return Math.abs(positive) + Math.abs(negative);
+}
+
+// Ratio of the highest to the lowest memristance visited by the trace
+export function onOffRatio(trace) {
+    return maxOf(trace.M) / minOf(trace.M);
+}
+
+// Lobe area per quadrant (I: V > 0, I > 0; II: V < 0, I > 0; III: V < 0, I < 0;
+// IV: V > 0, I < 0), as |integral of I dV| over the segments lying in it
+export function quadrantAreas(trace) {
+    const { Vd, I } = trace;
+    const areas = [0, 0, 0, 0];
+    for (let i = 1; i < Vd.length; i++) {
+        const voltage = Vd[i] + Vd[i - 1];
+        const current = I[i] + I[i - 1];
+        const quadrant = voltage >= 0 ? (current >= 0 ? 0 : 3) : (current >= 0 ? 1 : 2);
+        areas[quadrant] += 0.5 * current * (Vd[i] - Vd[i - 1]);
+    }
+    return areas.map(Math.abs);
+}
+
+// Currents interpolated where the device voltage crosses level
+export function currentsAtVoltage(trace, level) {
+    const { Vd, I } = trace;
+    const currents = [];
+    for (let i = 1; i < Vd.length; i++) {
+        const a = Vd[i - 1] - level;
+        const b = Vd[i] - level;
+        if ((a < 0 && b >= 0) || (a > 0 && b <= 0)) {
+            currents.push(I[i - 1] + (I[i] - I[i - 1]) * a / (a - b));
+        }
+    }
+    return currents;
+}
+
+// SET (memristance falling) and RESET (rising) threshold voltages: the device
+// voltage of smallest magnitude at which the rate of change of ln M reaches
+// `fraction` of its peak in that direction; null when no such switching occurs
+export function switchingThresholds(trace, fraction = 0.1) {
+    const { t, Vd, M } = trace;
+    const rates = M.slice(1).map((m, i) => Math.log(m / M[i]) / (t[i + 1] - t[i]));
+    const threshold = sign => {
+        const peak = Math.max(0, maxOf(rates.map(r => sign * r)));
+        if (peak === 0) return null;
+        let voltage = null;
+        rates.forEach((r, i) => {
+            if (sign * r >= fraction * peak && (voltage === null || Math.abs(Vd[i]) < Math.abs(voltage))) {
+                voltage = Vd[i];
+            }
+        });
+        return voltage;
+    };
+    return { set: threshold(-1), reset: threshold(1) };
+}
+
+// 10-90 % switching times of the first SET and RESET transitions, measured on
+// ln M between the lowest and highest memristance of the trace
+export function switchingTimes(trace) {
+    const { t, M } = trace;
+    const lo = Math.log(minOf(M));
+    const hi = Math.log(maxOf(M));
+    if (hi - lo < 1e-9) return { set: null, reset: null };
+    const level = M.map(m => (Math.log(m) - lo) / (hi - lo));
+
+    // Time from the last sample beyond `from` to the first one beyond `to`
+    const transition = (from, to) => {
+        let start = -1;
+        for (let i = 0; i < level.length; i++) {
+            if (from(level[i])) start = i;
+            else if (start >= 0 && to(level[i])) return t[i] - t[start];
+        }
+        return null;
+    };
+    return {
+        set: transition(x => x >= 0.9, x => x <= 0.1),
+        reset: transition(x => x <= 0.1, x => x >= 0.9)
+    };
+}
+
+// Power and energy
+// Instantaneous power V·I dissipated in the device and the energy it has
+// taken up since the start (trapezoidal rule), per sample
+export function powerTrace(trace) {
+    const { t, Vd, I } = trace;
+    const power = new Float64Array(t.length);
+    const energy = new Float64Array(t.length);
+    for (let i = 0; i < t.length; i++) {
+        power[i] = Vd[i] * I[i];
+        if (i > 0) energy[i] = energy[i - 1] + 0.5 * (power[i] + power[i - 1]) * (t[i] - t[i - 1]);
+    }
+    return { power, energy };
+}
+
+// Switching events: transitions of the normalized state from at most low to
+// at least high or back, each from the last sample inside the band it leaves
+// to the first one inside the other. An event is a SET when the memristance
+// falls and a RESET when it rises; its energy is what the device takes up
+// over its duration.
+export function switchingEvents(trace, { low = 0.1, high = 0.9 } = {}, { power, energy } = powerTrace(trace)) {
+    if (!(low >= 0 && low < high && high <= 1)) {
+        throw new Error('Switching event thresholds need 0 <= low < high <= 1');
+    }
+    const { t, state, M } = trace;
+    const events = [];
+    const last = { low: -1, high: -1 };
+    let band = null;
+    for (let i = 0; i < state.length; i++) {
+        const inside = state[i] <= low ? 'low' : state[i] >= high ? 'high' : null;
+        if (!inside) continue;
+        if (band && inside !== band) {
+            const start = last[band];
+            events.push({
+                type: M[i] < M[start] ? 'SET' : 'RESET',
+                start,
+                end: i,
+                time: t[start],
+                duration: t[i] - t[start],
+                energy: energy[i] - energy[start],
+                peakPower: maxOf(power.subarray(start, i + 1).map(Math.abs))
+            });
+        }
+        band = inside;
+        last[inside] = i;
+    }
+    return events;
+}
+
+// Fingerprint metrics of a simulated trace. HRS and LRS are the largest and
+// smallest V/I where the device voltage crosses readVoltage; the loop counts
+// as pinched when the current at every zero crossing of the voltage is below
+// 0.1 % of the peak current.
+export function hysteresisMetrics(trace, readVoltage = 0.1) {
+    const peak = maxOf(trace.I.map(Math.abs));
+    const zeroCurrents = currentsAtVoltage(trace, 0).map(Math.abs);
+    const pinchCurrent = zeroCurrents.length > 0 ? maxOf(zeroCurrents) : null;
+    const reads = currentsAtVoltage(trace, readVoltage)
+        .filter(current => current * readVoltage > 0)
+        .map(current => readVoltage / current);
+    const hrs = reads.length > 0 ? maxOf(reads) : null;
+    const lrs = reads.length > 0 ? minOf(reads) : null;
+    const thresholds = switchingThresholds(trace);
+    const times = switchingTimes(trace);
+
+    return {
+        lobeAreas: quadrantAreas(trace),
+        pinched: pinchCurrent !== null && pinchCurrent <= 1e-3 * peak,
+        pinchCurrent,
+        hrs,
+        lrs,
+        ratio: hrs !== null ? hrs / lrs : null,
+        setThreshold: thresholds.set,
+        resetThreshold: thresholds.reset,
+        setTime: times.set,
+        resetTime: times.reset
+    };
+}
+
+// Frequency check of the memristor fingerprint: the loop area of one sine
+// period at each frequency, for a fresh device from createDevice(). The lobes
+// of a memristor shrink as the frequency grows, so shrinking reports whether
+// the area never grows and ends below where it started.
+export function frequencyFingerprint(createDevice, amplitude, frequencies, options = {}, samples = 1000) {
+    const areas = frequencies.map(frequency => {
+        const dt = 1 / (frequency * samples);
+        const t = Array.from({ length: samples + 1 }, (_, i) => i * dt);
+        const V_seq = generateWaveform('sine', t, frequency, amplitude);
+        return loopArea(simulateMemristor(createDevice(), V_seq, dt, options));
+    });
+    const shrinking = areas.every((area, k) => k === 0 || area <= areas[k - 1]) &&
+        areas[areas.length - 1] < areas[0];
+    return { frequencies, areas, shrinking };
+}
+
+// Parameter sweeps
+// count values from `from` to `to` inclusive, evenly spaced or, with log
+// spacing, evenly spaced in decades (both bounds must then have the same sign)
+export function sweepValues(from, to, count, log = false) {
+    if (log && !(from * to > 0)) {
+        throw new Error('Log spacing needs bounds of the same sign');
+    }
+    const sign = Math.sign(from);
+    const a = log ? Math.log10(sign * from) : from;
+    const b = log ? Math.log10(sign * to) : to;
+    return Array.from({ length: count }, (_, k) => {
+        const x = count > 1 ? a + (b - a) * k / (count - 1) : a;
+        return log ? sign * Math.pow(10, x) : x;
+    });
+}
+
+// Scalar metrics plotted against the swept value
+export const sweepMetrics = {
+    onoff: { name: 'ON/OFF ratio', unit: '', compute: onOffRatio },
+    area: { name: 'Loop area', unit: 'V·A', compute: loopArea }
+};
@@ -0,0 +1,721 @@
+// Memristor Models
+// Parameter metadata: key (the constructor parameter), label and unit for
+// display, default value, slider range (min and max, plus step on a linear
+// scale), scale ('linear' or 'log'; a log range may lie below zero) and
+// display format ({ notation: 'fixed', 'exponential' or 'engineering',
+// digits }). Hidden parameters are accepted by the constructor but get no
+// control. Choice parameters list their options ({ value: label }) instead of
+// a range; `when` maps a choice key to the values under which a parameter
+// applies.
+//
+// Each class also states its equations for netlist export in a static
+// netlist(params): expressions in the device voltage v, the state s and the
+// parameter keys for the state bounds (lower, upper), helper quantities
+// (defs, in order, each usable by the later ones), the current and ds/dt.
+// Models with voltage thresholds or window edges also list them in a static
+// thresholds(params) as [label, value] pairs: voltages and states (in the
+// model's own state units).
+//
+// Physical constraints between parameters, such as R_ON < R_OFF, are listed
+// in a static constraints array and checked whenever a model is built.
+const fixed = digits => ({ notation: 'fixed', digits });
+const exponential = digits => ({ notation: 'exponential', digits });
+const engineering = { notation: 'engineering', digits: 3 };
+
+const ION_DRIFT_PARAMETERS = [
+    { key: 'mu_v', label: 'μ_v', unit: 'm²/V·s', default: 1e-9, min: 1e-15, max: 1e-8, scale: 'log', format: exponential(1) },
+    { key: 'D', label: 'D', unit: 'm', default: 1e-8, min: 1e-9, max: 1e-7, scale: 'log', format: exponential(1) },
+    { key: 'R_ON', label: 'R_ON', unit: 'Ω', default: 100, min: 10, max: 1000, scale: 'log', format: engineering },
+    { key: 'R_OFF', label: 'R_OFF', unit: 'Ω', default: 16e3, min: 1e3, max: 50e3, scale: 'log', format: engineering },
+    { key: 'w_init', label: 'w_init', unit: 'm', default: null, hidden: true }
+];
+
+// Window functions of the ion-drift model: f(x, i, params) of the normalized
+// state x = w/D and the current, with the keys of the parameters each uses and
+// the same function as a netlist expression in x, i and those keys
+const step = i => (i >= 0 ? 1 : 0);
+
+export const windowFunctions = {
+    none: { name: 'None (linear drift)', parameters: [], f: () => 1, expression: '1' },
+    joglekar: {
+        name: 'Joglekar',
+        parameters: ['p'],
+        f: (x, i, { p }) => 1 - Math.pow(2 * x - 1, 2 * p),
+        expression: '1 - pow(abs(2*x - 1), 2*p)'
+    },
+    biolek: {
+        name: 'Biolek',
+        parameters: ['p'],
+        f: (x, i, { p }) => 1 - Math.pow(x - step(-i), 2 * p),
+        expression: '1 - pow(abs(x - (i <= 0 ? 1 : 0)), 2*p)'
+    },
+    prodromakis: {
+        name: 'Prodromakis',
+        parameters: ['p', 'j'],
+        f: (x, i, { p, j }) => j * (1 - Math.pow(Math.pow(x - 0.5, 2) + 0.75, p)),
+        expression: 'j*(1 - pow((x - 0.5)*(x - 0.5) + 0.75, p))'
+    },
+    // Prodromakis with Biolek's current-dependent edge, so the state can
+    // leave the boundary it was driven into
+    zha: {
+        name: 'Zha',
+        parameters: ['p', 'j'],
+        f: (x, i, { p, j }) => j * (1 - Math.pow(0.25 * Math.pow(x - step(-i), 2) + 0.75, p)),
+        expression: 'j*(1 - pow(0.25*pow(abs(x - (i <= 0 ? 1 : 0)), 2) + 0.75, p))'
+    },
+    // Kvatinsky's TEAM/VTEAM window on the normalized state: a double
+    // exponential that closes near a_on when x grows and near a_off when it falls
+    kvatinsky: {
+        name: 'Kvatinsky',
+        parameters: ['a_on', 'a_off', 'w_c'],
+        f: (x, i, { a_on, a_off, w_c }) => (i >= 0
+            ? Math.exp(-Math.exp((x - a_on) / w_c))
+            : Math.exp(-Math.exp((a_off - x) / w_c))),
+        expression: '(i >= 0 ? exp(-exp((x - a_on)/w_c)) : exp(-exp((a_off - x)/w_c)))'
+    }
+};
+
+// A window parameter applies while a window that uses it is selected
+const usedBy = key => ({ window: Object.keys(windowFunctions).filter(name => windowFunctions[name].parameters.includes(key)) });
+
+const WINDOW_PARAMETERS = [
+    {
+        key: 'window', label: 'Window', default: 'joglekar',
+        options: Object.fromEntries(Object.entries(windowFunctions).map(([key, { name }]) => [key, name]))
+    },
+    { key: 'p', label: 'p', unit: '', default: 1, min: 1, max: 10, step: 1, scale: 'linear', format: fixed(0), when: usedBy('p') },
+    { key: 'j', label: 'j', unit: '', default: 1, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1), when: usedBy('j') },
+    { key: 'a_on', label: 'a_on', unit: '', default: 0.9, min: 0.5, max: 1, step: 0.01, scale: 'linear', format: fixed(2), when: usedBy('a_on') },
+    { key: 'a_off', label: 'a_off', unit: '', default: 0.1, min: 0, max: 0.5, step: 0.01, scale: 'linear', format: fixed(2), when: usedBy('a_off') },
+    { key: 'w_c', label: 'w_c', unit: '', default: 0.05, min: 0.005, max: 0.2, step: 0.005, scale: 'linear', format: fixed(3), when: usedBy('w_c') }
+];
+
+// Constraints: the keys of the parameters involved, a test on the resolved
+// parameters and the message if it fails, written with the parameters' labels
+const below = (a, b) => ({ keys: [a, b], test: p => p[a] < p[b], message: label => `${label(a)} must be below ${label(b)}` });
+const belowOne = key => ({ keys: [key], test: p => p[key] < 1, message: label => `${label(key)} must be below 1` });
+const negative = key => ({ keys: [key], test: p => p[key] < 0, message: label => `${label(key)} must be negative` });
+const positive = key => ({ keys: [key], test: p => p[key] > 0, message: label => `${label(key)} must be positive` });
+
+function violations(type, resolved) {
+    const label = key => type.parameters.find(param => param.key === key).label;
+    return (type.constraints || [])
+        .filter(({ test }) => !test(resolved))
+        .map(({ keys, message }) => ({ keys, message: message(label) }));
+}
+
+// Named constructor parameters over the declared defaults; unknown names and
+// choices are rejected so that typos do not go unnoticed, and so are values
+// that break the model's constraints
+function resolveParameters(type, params) {
+    const keys = type.parameters.map(param => param.key);
+    const unknown = Object.keys(params).filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${type.name} parameter(s) ${unknown.join(', ')} (expected ${keys.join(', ')})`);
+    }
+    const resolved = Object.fromEntries(type.parameters.map(param =>
+        [param.key, params[param.key] !== undefined ? params[param.key] : param.default]));
+    type.parameters.filter(param => param.options).forEach(({ key, options }) => {
+        if (!(resolved[key] in options)) {
+            throw new Error(`Unknown ${key} "${resolved[key]}" (expected one of ${Object.keys(options).join(', ')})`);
+        }
+    });
+    const broken = violations(type, resolved);
+    if (broken.length > 0) {
+        throw new Error(broken.map(({ message }) => message).join('; '));
+    }
+    return resolved;
+}
+
+// Linear ion drift (HP) model; the window function selects the Linear,
+// Joglekar, Biolek, Prodromakis, Zha or Kvatinsky variant
+export class IonDriftMemristor {
+    static parameters = [...ION_DRIFT_PARAMETERS, ...WINDOW_PARAMETERS];
+
+    static constraints = [below('R_ON', 'R_OFF')];
+
+    static netlist({ window }) {
+        return {
+            lower: '0',
+            upper: 'D',
+            defs: [
+                ['M', 'R_ON*(s/D) + R_OFF*(1 - s/D)'],
+                ['i', 'v/M'],
+                ['f', windowFunctions[window].expression.replace(/\bx\b/g, '(s/D)')]
+            ],
+            current: 'i',
+            derivative: 'mu_v*(R_ON/D)*i*f'
+        };
+    }
+
+    constructor(params = {}) {
+        const { mu_v, D, R_ON, R_OFF, w_init, window, ...windowParams } = resolveParameters(IonDriftMemristor, params);
+        this.mu_v = mu_v;
+        this.D = D;
+        this.R_ON = R_ON;
+        this.R_OFF = R_OFF;
+        this.w = w_init !== null ? Math.max(0, Math.min(w_init, this.D)) : D / 2;
+        this.window = window;
+        this.windowParams = windowParams;
+        this._updateMemristance();
+    }
+
+    _updateMemristance() {
+        this.M = this.R_ON * (this.w / this.D) + this.R_OFF * (1 - (this.w / this.D));
+        this.W = 1.0 / this.M;
+    }
+
+    windowFunction(x, i) {
+        return windowFunctions[this.window].f(x, i, this.windowParams);
+    }
+
+    stateBounds() {
+        return [0, this.D];
+    }
+
+    getState() {
+        return this.w;
+    }
+
+    setState(w) {
+        this.w = Math.max(0, Math.min(w, this.D));
+        this._updateMemristance();
+    }
+
+    stateDerivative(V) {
+        const i = this.getCurrent(V);
+        const f_w = this.windowFunction(this.w / this.D, i);
+        return this.mu_v * (this.R_ON / this.D) * i * f_w;
+    }
+
+    updateState(V, dt) {
+        this.setState(this.w + this.stateDerivative(V) * dt);
+    }
+
+    getCurrent(V) {
+        return V / this.M;
+    }
+}
+
+// Current-controlled TEAM model (Kvatinsky et al.): the state moves only
+// while the current is beyond i_off or i_on, and the memristance is linear in it
+export class TEAMMemristor {
+    static parameters = [
+        { key: 'k_off', label: 'k_off', unit: 'm/s', default: 1e-5, min: 1e-9, max: 1e-1, scale: 'log', format: exponential(1) },
+        { key: 'k_on', label: 'k_on', unit: 'm/s', default: -1e-5, min: -1e-3, max: -1e-7, scale: 'log', format: exponential(1) },
+        { key: 'alpha_off', label: 'α_off', unit: '', default: 3, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'alpha_on', label: 'α_on', unit: '', default: 3, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'i_off', label: 'i_off', unit: 'A', default: 100e-6, min: 1e-6, max: 1e-2, scale: 'log', format: engineering },
+        { key: 'i_on', label: 'i_on', unit: 'A', default: -100e-6, min: -1e-2, max: -1e-6, scale: 'log', format: engineering },
+        { key: 'w_off', label: 'w_off', unit: 'm', default: 3e-9, min: 1e-9, max: 1e-7, scale: 'log', format: exponential(1) },
+        { key: 'w_on', label: 'w_on', unit: 'm', default: 0, hidden: true },
+        { key: 'w_init', label: 'w_init', unit: 'm', default: 0, hidden: true },
+        { key: 'a_off', label: 'a_off', unit: 'm', default: 2.7e-9, min: 1e-10, max: 1e-7, scale: 'log', format: exponential(1) },
+        { key: 'a_on', label: 'a_on', unit: 'm', default: 0.3e-9, min: 1e-11, max: 1e-8, scale: 'log', format: exponential(1) },
+        { key: 'w_c', label: 'w_c', unit: 'm', default: 0.1e-9, min: 1e-11, max: 1e-9, scale: 'log', format: exponential(1) },
+        { key: 'R_on', label: 'R_on', unit: 'Ω', default: 100, min: 10, max: 1000, scale: 'log', format: engineering },
+        { key: 'R_off', label: 'R_off', unit: 'Ω', default: 16e3, min: 1e3, max: 50e3, scale: 'log', format: engineering }
+    ];
+
+    static constraints = [
+        below('R_on', 'R_off'), below('w_on', 'w_off'),
+        negative('i_on'), positive('i_off'), negative('k_on'), positive('k_off')
+    ];
+
+    static netlist() {
+        return {
+            lower: 'w_on',
+            upper: 'w_off',
+            defs: [
+                ['M', 'R_on + (R_off - R_on)*(s - w_on)/(w_off - w_on)'],
+                ['i', 'v/M'],
+                ['f_off', 'exp(-exp((s - a_off)/w_c))'],
+                ['f_on', 'exp(-exp(-(s - a_on)/w_c))']
+            ],
+            current: 'i',
+            derivative: '(i_off > 0 && i > i_off) ? k_off*pow(max(i/i_off - 1, 0), alpha_off)*f_off'
+                + ' : ((i < i_on && i_on < 0) ? k_on*pow(max(i/i_on - 1, 0), alpha_on)*f_on : 0)'
+        };
+    }
+
+    constructor(params = {}) {
+        const {
+            k_off, k_on, alpha_off, alpha_on, i_off, i_on, w_off, w_on, w_init, a_off, a_on, w_c, R_on, R_off
+        } = resolveParameters(TEAMMemristor, params);
+        this.k_off = k_off; this.k_on = k_on;
+        this.alpha_off = alpha_off; this.alpha_on = alpha_on;
+        this.i_off = i_off; this.i_on = i_on;
+        this.w_off = w_off; this.w_on = w_on;
+        this.w = Math.min(this.w_off, Math.max(this.w_on, w_init));
+        this.a_off = a_off; this.a_on = a_on; this.w_c = w_c;
+        this.R_on = R_on; this.R_off = R_off;
+        this._updateMemristance();
+    }
+
+    f_off(w) {
+        return Math.exp(-Math.exp((w - this.a_off) / this.w_c));
+    }
+    f_on(w) {
+        return Math.exp(-Math.exp(-(w - this.a_on) / this.w_c));
+    }
+
+    _updateMemristance() {
+        this.M = this.R_on + (this.R_off - this.R_on) * (this.w - this.w_on) / (this.w_off - this.w_on);
+        this.W = 1 / this.M;
+    }
+
+    stateBounds() {
+        return [this.w_on, this.w_off];
+    }
+
+    getState() {
+        return this.w;
+    }
+
+    setState(w) {
+        this.w = Math.min(this.w_off, Math.max(this.w_on, w));
+        this._updateMemristance();
+    }
+
+    stateDerivative(V) {
+        const i = this.getCurrent(V);
+        if (0 < this.i_off && i > this.i_off) {
+            return this.k_off * Math.pow(i / this.i_off - 1, this.alpha_off) * this.f_off(this.w);
+        } else if (i < this.i_on && this.i_on < 0) {
+            return this.k_on * Math.pow(i / this.i_on - 1, this.alpha_on) * this.f_on(this.w);
+        }
+        return 0;
+    }
+
+    updateState(V, dt) {
+        this.setState(this.w + this.stateDerivative(V) * dt);
+    }
+
+    getCurrent(V) {
+        return V / this.M;
+    }
+}
+
+export class VTEAMMemristor {
+    static parameters = [
+        { key: 'k_off', label: 'k_off', unit: 'A/V', default: 5e-4, min: 1e-6, max: 1e-3, scale: 'log', format: exponential(1) },
+        { key: 'k_on', label: 'k_on', unit: 'A/V', default: -10, min: -20, max: -1, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'alpha_off', label: 'α_off', unit: '', default: 3, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'alpha_on', label: 'α_on', unit: '', default: 1, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'w_off', label: 'w_off', unit: 'm', default: 3e-9, min: 1e-9, max: 1e-6, scale: 'log', format: exponential(1) },
+        { key: 'w_on', label: 'w_on', unit: 'm', default: 0, min: 0, max: 1e-8, step: 1e-9, scale: 'linear', format: exponential(1) },
+        { key: 'w_init', label: 'w_init', unit: 'm', default: 0, hidden: true },
+        { key: 'a_off', label: 'a_off', unit: '', default: 0.8, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'a_on', label: 'a_on', unit: '', default: 0.2, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'w_c', label: 'w_c', unit: 'm', default: 0.12, min: 0.001, max: 1, scale: 'log', format: fixed(3) },
+        { key: 'u_off', label: 'u_off', unit: 'V', default: 0.5, min: 0.1, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'u_on', label: 'u_on', unit: 'V', default: -0.5, min: -1, max: -0.1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'R_on', label: 'R_on', unit: 'Ω', default: 100, min: 10, max: 1000, scale: 'log', format: engineering },
+        { key: 'R_off', label: 'R_off', unit: 'Ω', default: 16e3, min: 1e3, max: 50e3, scale: 'log', format: engineering }
+    ];
+
+    static constraints = [
+        below('R_on', 'R_off'), below('w_on', 'w_off'),
+        negative('u_on'), positive('u_off'), negative('k_on'), positive('k_off')
+    ];
+
+    static netlist() {
+        return {
+            lower: 'w_on',
+            upper: 'w_off',
+            defs: [
+                ['M', 'R_on*exp(ln(R_off/R_on)/(w_off - w_on)*(s - w_on))'],
+                ['f_off', 'exp(-exp((s - a_off)/w_c))'],
+                ['f_on', 'exp(-exp(-(s - a_on)/w_c))']
+            ],
+            current: 'v/M',
+            derivative: '(u_off > 0 && v > u_off) ? k_off*pow(max(v/u_off - 1, 0), alpha_off)*f_off'
+                + ' : ((v < u_on && u_on < 0) ? k_on*pow(max(v/u_on - 1, 0), alpha_on)*f_on : 0)'
+        };
+    }
+
+    // a_on and a_off are fractions of the state range, marked in metres
+    static thresholds({ u_on, u_off, a_on, a_off, w_on, w_off }) {
+        const state = a => w_on + a * (w_off - w_on);
+        return { voltages: [['u_on', u_on], ['u_off', u_off]], states: [['a_on', state(a_on)], ['a_off', state(a_off)]] };
+    }
+
+    constructor(params = {}) {
+        const {
+            k_off, k_on, alpha_off, alpha_on, w_off, w_on, w_init, a_off, a_on, w_c, u_off, u_on, R_on, R_off
+        } = resolveParameters(VTEAMMemristor, params);
+        this.k_off = k_off; this.k_on = k_on;
+        this.alpha_off = alpha_off; this.alpha_on = alpha_on;
+        this.w_off = w_off; this.w_on = w_on;
+        this.w = Math.min(this.w_off, Math.max(this.w_on, w_init));
+        this.a_off = a_off; this.a_on = a_on; this.w_c = w_c;
+        this.u_off = u_off; this.u_on = u_on;
+        this.R_on = R_on; this.R_off = R_off;
+        this._updateMemristance();
+    }
+
+    f_off(w) {
+        return Math.exp(-Math.exp((w - this.a_off) / this.w_c));
+    }
+    f_on(w) {
+        return Math.exp(-Math.exp(-(w - this.a_on) / this.w_c));
+    }
+
+    _updateMemristance() {
+        const λ = Math.log(this.R_off / this.R_on);
+        this.M = this.R_on * Math.exp((λ / (this.w_off - this.w_on)) * (this.w - this.w_on));
+        this.W = 1 / this.M;
+    }
+
+    stateBounds() {
+        return [this.w_on, this.w_off];
+    }
+
+    getState() {
+        return this.w;
+    }
+
+    setState(w) {
+        this.w = Math.min(this.w_off, Math.max(this.w_on, w));
+        this._updateMemristance();
+    }
+
+    stateDerivative(u) {
+        if (0 < this.u_off && u > this.u_off) {
+            return this.k_off * Math.pow(u / this.u_off - 1, this.alpha_off) * this.f_off(this.w);
+        } else if (u < this.u_on && this.u_on < 0) {
+            return this.k_on * Math.pow(u / this.u_on - 1, this.alpha_on) * this.f_on(this.w);
+        }
+        return 0;
+    }
+
+    updateState(u, dt) {
+        this.setState(this.w + this.stateDerivative(u) * dt);
+    }
+
+    getCurrent(u) {
+        const λ = Math.log(this.R_off / this.R_on);
+        const expTerm = Math.exp((-λ / (this.w_off - this.w_on)) * (this.w - this.w_on));
+        return (u / this.R_on) * expTerm;
+    }
+}
+
+export class MMSMemristor {
+    static parameters = [
+        { key: 'R_on', label: 'R_ON', unit: 'Ω', default: 100, min: 10, max: 1000, scale: 'log', format: engineering },
+        { key: 'R_off', label: 'R_OFF', unit: 'Ω', default: 16e3, min: 1e3, max: 50e3, scale: 'log', format: engineering },
+        { key: 'U_on', label: 'U_ON', unit: 'V', default: 0.27, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'U_off', label: 'U_OFF', unit: 'V', default: 0.27, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'tau', label: 'τ', unit: 's', default: 1e-6, min: 1e-8, max: 1e-4, scale: 'log', format: exponential(1) },
+        { key: 'T', label: 'T', unit: 'K', default: 298.5, min: 250, max: 400, step: 0.5, scale: 'linear', format: fixed(1) },
+        { key: 'x_init', label: 'x_init', unit: '', default: 0, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) }
+    ];
+
+    static constraints = [below('R_on', 'R_off'), positive('tau')];
+
+    static netlist() {
+        return {
+            lower: '0',
+            upper: '1',
+            defs: [
+                ['beta', '1.602176634e-19/(1.380649e-23*T)'],
+                ['P_on', '1/(tau*(1 + exp(-beta*(v - U_on))))'],
+                ['P_off', '(1 - 1/(1 + exp(-beta*(v + U_off))))/tau']
+            ],
+            current: 'v*(s/R_on + (1 - s)/R_off)',
+            derivative: 'P_on*(1 - s) - P_off*s'
+        };
+    }
+
+    constructor(params = {}) {
+        const { R_on, R_off, U_on, U_off, tau, T, x_init } = resolveParameters(MMSMemristor, params);
+        this.R_on = R_on;
+        this.R_off = R_off;
+        this.U_on = U_on;
+        this.U_off = U_off;
+        this.tau = tau;
+        this.T = T;
+        this.q = 1.602176634e-19;
+        this.k = 1.380649e-23;
+        this.x = Math.max(0, Math.min(x_init, 1));
+        this._updateMemristance();
+    }
+
+    _updateMemristance() {
+        this.W = this.x / this.R_on + (1.0 - this.x) / this.R_off;
+        this.M = 1.0 / this.W;
+    }
+
+    stateBounds() {
+        return [0, 1];
+    }
+
+    getState() {
+        return this.x;
+    }
+
+    setState(x) {
+        this.x = Math.max(0, Math.min(x, 1));
+        this._updateMemristance();
+    }
+
+    // Device temperature of a thermal model; it sets β = q/(kT)
+    setTemperature(T) {
+        this.T = T;
+    }
+
+    // Switching rates per unit time; multiplied by dt they are the per-step probabilities
+    stateDerivative(V) {
+        const beta = this.q / (this.k * this.T);
+        const P_on = 1 / (this.tau * (1 + Math.exp(-beta * (V - this.U_on))));
+        const P_off = (1 - 1 / (1 + Math.exp(-beta * (V + this.U_off)))) / this.tau;
+        return P_on * (1 - this.x) - P_off * this.x;
+    }
+
+    updateState(V, dt) {
+        this.setState(this.x + this.stateDerivative(V) * dt);
+    }
+
+    getCurrent(V) {
+        return V * this.W;
+    }
+}
+
+export class YakopcicMemristor {
+    static parameters = [
+        { key: 'A_p', label: 'A_p', unit: '', default: 4000, min: 0, max: 10000, step: 1, scale: 'linear', format: fixed(0) },
+        { key: 'A_n', label: 'A_n', unit: '', default: 4000, min: 0, max: 10000, step: 1, scale: 'linear', format: fixed(0) },
+        { key: 'U_p', label: 'U_p', unit: 'V', default: 0.5, min: 0.1, max: 5, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'U_n', label: 'U_n', unit: 'V', default: 0.5, min: 0.1, max: 5, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'alpha_p', label: 'α_p', unit: '', default: 1, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'alpha_n', label: 'α_n', unit: '', default: 5, min: 0.1, max: 10, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'x_p', label: 'x_p', unit: '', default: 0.3, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'x_n', label: 'x_n', unit: '', default: 0.3, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'a1', label: 'a1', unit: '', default: 0.17, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'a2', label: 'a2', unit: '', default: 0.17, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'b', label: 'b', unit: '', default: 0.05, min: 0, max: 1, step: 0.001, scale: 'linear', format: fixed(3) },
+        { key: 'x_init', label: 'x_init', unit: '', default: 0.11, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'x_on', label: 'x_on', unit: '', default: 0, min: 0, max: 1, step: 0.01, scale: 'linear', format: fixed(2) }
+    ];
+
+    static constraints = [belowOne('x_on'), belowOne('x_p'), belowOne('x_n')];
+
+    static netlist() {
+        return {
+            lower: 'x_on',
+            upper: '1',
+            defs: [
+                ['g', 'v > U_p ? A_p*(exp(v) - exp(U_p)) : (v < -U_n ? -A_n*(exp(-v) - exp(U_n)) : 0)'],
+                ['f_p', 's >= x_p ? exp(-alpha_p*(s - x_p))*((x_p - s)/(1 - x_p) + 1) : 1'],
+                ['f_n', 's <= 1 - x_n ? exp(alpha_n*(s + x_n - 1))*(s/(1 - x_n)) : 1']
+            ],
+            current: 'v >= 0 ? a1*s*sinh(b*v) : a2*s*sinh(b*v)',
+            derivative: 'g*(v >= 0 ? f_p : f_n)'
+        };
+    }
+
+    static thresholds({ U_p, U_n, x_p, x_n }) {
+        return { voltages: [['−U_n', -U_n], ['U_p', U_p]], states: [['x_p', x_p], ['1 − x_n', 1 - x_n]] };
+    }
+
+    constructor(params = {}) {
+        const { A_p, A_n, U_p, U_n, alpha_p, alpha_n, x_p, x_n, a1, a2, b, x_init, x_on } = resolveParameters(YakopcicMemristor, params);
+        this.A_p = A_p; this.A_n = A_n;
+        this.U_p = U_p; this.U_n = U_n;
+        this.alpha_p = alpha_p; this.alpha_n = alpha_n;
+        this.x_p = x_p; this.x_n = x_n;
+        this.a1 = a1; this.a2 = a2;
+        this.b = b;
+        this.x_on = x_on;
+        this.x = Math.min(1, Math.max(this.x_on, x_init));
+        this._updateMemristance();
+    }
+
+    g(u) {
+        if (u > this.U_p) return this.A_p * (Math.exp(u) - Math.exp(this.U_p));
+        if (u < -this.U_n) return -this.A_n * (Math.exp(-u) - Math.exp(this.U_n));
+        return 0;
+    }
+
+    f_p(x) {
+        if (x >= this.x_p) {
+            const wp = (this.x_p - x) / (1 - this.x_p) + 1;
+            return Math.exp(-this.alpha_p * (x - this.x_p)) * wp;
+        }
+        return 1;
+    }
+    f_n(x) {
+        if (x <= (1 - this.x_n)) {
+            const wn = x / (1 - this.x_n);
+            return Math.exp(this.alpha_n * (x + this.x_n - 1)) * wn;
+        }
+        return 1;
+    }
+
+    f(x, u) {
+        return u >= 0 ? this.f_p(x) : this.f_n(x);
+    }
+
+    _updateMemristance() {
+        this.W = this.a1 * this.x * Math.sinh(this.b);
+        this.M = 1 / this.W;
+    }
+
+    stateBounds() {
+        return [this.x_on, 1];
+    }
+
+    getState() {
+        return this.x;
+    }
+
+    setState(x) {
+        this.x = Math.min(1, Math.max(this.x_on, x));
+        this._updateMemristance();
+    }
+
+    stateDerivative(u) {
+        return this.g(u) * this.f(this.x, u);
+    }
+
+    updateState(u, dt) {
+        this.setState(this.x + this.stateDerivative(u) * dt);
+    }
+
+    getCurrent(u) {
+        if (u >= 0) return this.a1 * this.x * Math.sinh(this.b * u);
+        else return this.a2 * this.x * Math.sinh(this.b * u);
+    }
+}
+
+// Stanford/PKU filamentary RRAM model (Yu, Guan and Wong): the state is the
+// tunneling gap g between the filament tip and the electrode. The current
+// falls exponentially with the gap, the gap moves by field-assisted,
+// thermally activated hopping, and the local temperature rises with the
+// dissipated power through the thermal resistance R_th. Defaults are for HfOx.
+export class StanfordPKUMemristor {
+    static parameters = [
+        { key: 'I0', label: 'I0', unit: 'A', default: 61.4e-6, min: 1e-6, max: 1e-3, scale: 'log', format: engineering },
+        { key: 'g0', label: 'g0', unit: 'm', default: 0.275e-9, min: 0.1e-9, max: 1e-9, scale: 'log', format: exponential(2) },
+        { key: 'V0', label: 'V0', unit: 'V', default: 0.43, min: 0.1, max: 1, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'vel0', label: 'vel0', unit: 'm/s', default: 10, min: 0.01, max: 1000, scale: 'log', format: exponential(1) },
+        { key: 'Ea', label: 'Ea', unit: 'eV', default: 0.6, min: 0.2, max: 1.5, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'a0', label: 'a0', unit: 'm', default: 0.25e-9, min: 0.1e-9, max: 1e-9, scale: 'log', format: exponential(2) },
+        { key: 'L', label: 'L', unit: 'm', default: 5e-9, min: 1e-9, max: 20e-9, scale: 'log', format: exponential(1) },
+        { key: 'gamma0', label: 'γ0', unit: '', default: 16, min: 1, max: 30, step: 0.1, scale: 'linear', format: fixed(1) },
+        { key: 'beta', label: 'β', unit: '', default: 0.8, min: 0, max: 5, step: 0.01, scale: 'linear', format: fixed(2) },
+        { key: 'g1', label: 'g1', unit: 'm', default: 1e-9, min: 0.1e-9, max: 5e-9, scale: 'log', format: exponential(1) },
+        { key: 'g_min', label: 'g_min', unit: 'm', default: 0.1e-9, min: 0.01e-9, max: 0.5e-9, scale: 'log', format: exponential(1) },
+        { key: 'g_max', label: 'g_max', unit: 'm', default: 1.7e-9, min: 1e-9, max: 3e-9, step: 0.01e-9, scale: 'linear', format: exponential(2) },
+        { key: 'g_init', label: 'g_init', unit: 'm', default: 1.7e-9, min: 0.01e-9, max: 3e-9, step: 0.01e-9, scale: 'linear', format: exponential(2) },
+        { key: 'T0', label: 'T0', unit: 'K', default: 298, min: 250, max: 400, step: 0.5, scale: 'linear', format: fixed(1) },
+        { key: 'R_th', label: 'R_th', unit: 'K/W', default: 2.1e3, min: 1e2, max: 1e6, scale: 'log', format: engineering }
+    ];
+
+    static constraints = [below('g_min', 'g_max')];
+
+    static netlist() {
+        return {
+            lower: 'g_min',
+            upper: 'g_max',
+            defs: [
+                ['i', 'I0*exp(-s/g0)*sinh(v/V0)'],
+                ['T', 'T0 + abs(v*i)*R_th'],
+                ['gamma', 'gamma0 - beta*pow(s/g1, 3)']
+            ],
+            current: 'i',
+            derivative: '-vel0*exp(-1.602176634e-19*Ea/(1.380649e-23*T))'
+                + '*sinh(gamma*a0/L*1.602176634e-19*v/(1.380649e-23*T))'
+        };
+    }
+
+    constructor(params = {}) {
+        const {
+            I0, g0, V0, vel0, Ea, a0, L, gamma0, beta, g1, g_min, g_max, g_init, T0, R_th
+        } = resolveParameters(StanfordPKUMemristor, params);
+        this.I0 = I0; this.g0 = g0; this.V0 = V0;
+        this.vel0 = vel0; this.Ea = Ea; this.a0 = a0; this.L = L;
+        this.gamma0 = gamma0; this.beta = beta; this.g1 = g1;
+        this.g_min = g_min; this.g_max = g_max;
+        this.T0 = T0; this.R_th = R_th;
+        this.T = null;
+        this.q = 1.602176634e-19;
+        this.k = 1.380649e-23;
+        this.g = Math.min(this.g_max, Math.max(this.g_min, g_init));
+        this._updateMemristance();
+    }
+
+    // Small-signal memristance, from the slope of sinh at zero bias
+    _updateMemristance() {
+        this.W = (this.I0 / this.V0) * Math.exp(-this.g / this.g0);
+        this.M = 1 / this.W;
+    }
+
+    // Local temperature at voltage V: the device temperature of a thermal
+    // model once one is set, else the model's own steady-state heating
+    temperature(V) {
+        if (this.T !== null) return this.T;
+        return this.T0 + Math.abs(V * this.getCurrent(V)) * this.R_th;
+    }
+
+    setTemperature(T) {
+        this.T = T;
+    }
+
+    stateBounds() {
+        return [this.g_min, this.g_max];
+    }
+
+    getState() {
+        return this.g;
+    }
+
+    setState(g) {
+        this.g = Math.min(this.g_max, Math.max(this.g_min, g));
+        this._updateMemristance();
+    }
+
+    // Positive voltage closes the gap (SET), negative voltage opens it (RESET)
+    stateDerivative(V) {
+        const kT = this.k * this.temperature(V);
+        const gamma = this.gamma0 - this.beta * Math.pow(this.g / this.g1, 3);
+        return -this.vel0 * Math.exp(-this.q * this.Ea / kT) * Math.sinh(gamma * this.a0 / this.L * this.q * V / kT);
+    }
+
+    updateState(V, dt) {
+        this.setState(this.g + this.stateDerivative(V) * dt);
+    }
+
+    getCurrent(V) {
+        return this.I0 * Math.exp(-this.g / this.g0) * Math.sinh(V / this.V0);
+    }
+}
+
+// Model registry: display name and class of every model, keyed by the name
+// used in the UI and on the command line. Each class declares its parameters
+// in a static `parameters` list and takes them as a named object.
+export const modelRegistry = {
+    iondrift: { name: 'Ion Drift', type: IonDriftMemristor },
+    team: { name: 'TEAM', type: TEAMMemristor },
+    vteam: { name: 'VTEAM', type: VTEAMMemristor },
+    mms: { name: 'MMS', type: MMSMemristor },
+    yakopcic: { name: 'Yakopcic', type: YakopcicMemristor },
+    stanford: { name: 'Stanford/PKU RRAM', type: StanfordPKUMemristor }
+};
+
+// Constraints of the named model that the parameters break, as
+// { keys, message }; parameters that are not given take their defaults
+export function parameterViolations(name, params = {}) {
+    const { type } = modelRegistry[name];
+    return violations(type, Object.fromEntries(type.parameters.map(param =>
+        [param.key, params[param.key] !== undefined ? params[param.key] : param.default])));
+}
+
+// Builds the named model; parameters that are not given take their defaults
+export function createModel(name, params = {}) {
+    const model = modelRegistry[name];
+    if (!model) {
+        throw new Error(`Unknown model "${name}" (expected one of ${Object.keys(modelRegistry).join(', ')})`);
+    }
+    return new model.type(params);
+}
@@ -0,0 +1,103 @@
+import { simulateMemristor } from './simulation.js';
+
+// Synaptic plasticity
+// Spike shapes of amplitude A and width w, as functions of the time t since
+// the spike's onset (0 <= t < w). The bipolar spike is a short positive pulse
+// followed by a negative tail of half its amplitude that decays linearly.
+export const spikeShapes = {
+    rectangular: { name: 'Rectangular', f: (t, A) => A },
+    triangular: { name: 'Triangular', f: (t, A, w) => A * (1 - t / w) },
+    bipolar: {
+        name: 'Bipolar',
+        f: (t, A, w) => (t < w / 5 ? A : -(A / 2) * (1 - (t - w / 5) / (0.8 * w)))
+    }
+};
+
+function spikeVoltage({ shape, amplitude, width }, t) {
+    return t >= 0 && t < width ? spikeShapes[shape].f(t, amplitude, width) : 0;
+}
+
+// Nonlinearity of one branch: the largest deviation of its conductance from
+// the straight line between its first and last value, relative to the change.
+// Levels are counted along the branch: a conductance at least step away from
+// the last counted one is a new level.
+function branchMetrics(G, step) {
+    const n = G.length - 1;
+    const change = G[n] - G[0];
+    let deviation = 0;
+    let levels = 1;
+    let level = G[0];
+    G.forEach((g, k) => {
+        deviation = Math.max(deviation, Math.abs(g - (G[0] + change * k / n)));
+        if (step > 0 && Math.abs(g - level) >= step) {
+            levels++;
+            level = g;
+        }
+    });
+    return { change, nonlinearity: change !== 0 ? deviation / Math.abs(change) : null, levels };
+}
+
+// N identical potentiation pulses followed by N depression pulses, each
+// followed by an unbiased gap. Returns the conductance W before the first
+// pulse and after every pulse, both branches' nonlinearity and number of
+// levels distinguishable at resolution times the conductance range, and the
+// dynamic range G_max / G_min.
+export function potentiationDepression(createDevice, settings, options = {}) {
+    const { pulses, potentiationVoltage, depressionVoltage, width, gap, dt, resolution = 0.01 } = settings;
+    if (!Number.isInteger(pulses) || pulses < 1) {
+        throw new Error('The number of pulses must be a whole number of at least 1');
+    }
+    const pulseSamples = Math.max(1, Math.round(width / dt));
+    const gapSamples = Math.max(0, Math.round(gap / dt));
+
+    const device = createDevice();
+    const conductance = [device.W];
+    const apply = V => {
+        const V_seq = new Float64Array(pulseSamples + gapSamples);
+        V_seq.fill(V, 0, pulseSamples);
+        simulateMemristor(device, V_seq, dt, options);
+        conductance.push(device.W);
+    };
+    for (let k = 0; k < pulses; k++) apply(potentiationVoltage);
+    for (let k = 0; k < pulses; k++) apply(depressionVoltage);
+
+    const G_min = Math.min(...conductance);
+    const G_max = Math.max(...conductance);
+    const step = resolution * (G_max - G_min);
+    return {
+        pulse: conductance.map((_, k) => k),
+        conductance,
+        potentiation: branchMetrics(conductance.slice(0, pulses + 1), step),
+        depression: branchMetrics(conductance.slice(pulses), step),
+        G_min,
+        G_max,
+        dynamicRange: G_max / G_min
+    };
+}
+
+// STDP learning window. The pre-synaptic spike drives the device's positive
+// terminal and the post-synaptic one its negative terminal, so the device
+// sees V_pre(t - t_pre) - V_post(t - t_post) with Δt = t_post - t_pre. For
+// every Δt from -range to range a fresh device is paired once, and the
+// relative conductance change ΔG / G is recorded.
+export function stdpWindow(createDevice, settings, options = {}) {
+    const { pre, post, range, points, dt } = settings;
+    if (!Number.isInteger(points) || points < 2) {
+        throw new Error('The STDP window needs at least 2 spike timings');
+    }
+
+    const delays = Array.from({ length: points }, (_, k) => -range + 2 * range * k / (points - 1));
+    const change = delays.map(delay => {
+        const t_pre = Math.max(0, -delay);
+        const t_post = t_pre + delay;
+        const end = Math.max(t_pre + pre.width, t_post + post.width);
+        const V_seq = Float64Array.from({ length: Math.ceil(end / dt) + 1 }, (_, i) =>
+            spikeVoltage(pre, i * dt - t_pre) - spikeVoltage(post, i * dt - t_post));
+
+        const device = createDevice();
+        const G = device.W;
+        simulateMemristor(device, V_seq, dt, options);
+        return (device.W - G) / G;
+    });
+    return { delays, change };
+}
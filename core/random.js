@@ -0,0 +1,19 @@
+// Random numbers
+// Seedable uniform generator on [0, 1) (mulberry32), so that a run with
+// noise or sampled parameters can be repeated exactly
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal deviate from a uniform generator (Box-Muller)
+export function gaussian(random) {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
@@ -0,0 +1,76 @@
+import { simulateMemristor, solveDeviceVoltage } from './simulation.js';
+import { normalizedState } from './crossbar.js';
+
+// Retention experiment
+// Read times from start to stop (s after programming), equally spaced on a
+// log axis
+export function retentionTimes(start, stop, reads) {
+    if (!(start > 0) || !(stop > start)) {
+        throw new Error('Retention times need 0 < start < stop');
+    }
+    if (!Number.isInteger(reads) || reads < 2) {
+        throw new Error('A retention experiment needs at least 2 reads');
+    }
+    return Array.from({ length: reads }, (_, k) => start * Math.pow(stop / start, k / (reads - 1)));
+}
+
+// Programs a device with one rectangular pulse, then leaves it unbiased and
+// reads it at log-spaced times. Every read is a pulse at the read voltage
+// that acts on the state like any other bias (read disturb). A second device
+// with the same history that is sensed without being pulsed gives the
+// undisturbed state, so the difference is the drift the reads cause. Pulses
+// are sampled every dt with options.method; the idle intervals, which span
+// many decades, are integrated with RK45 in one adaptive step each.
+export function retentionExperiment(createDevice, settings, options = {}) {
+    const { programVoltage, programWidth, readVoltage, readWidth, start, stop, reads, dt } = settings;
+    const times = retentionTimes(start, stop, reads);
+    times.forEach((time, k) => {
+        if (k > 0 && time - times[k - 1] < readWidth) {
+            throw new Error('Reads overlap: the first read interval is shorter than the read pulse');
+        }
+    });
+
+    const pulse = (memristor, V, width) => simulateMemristor(
+        memristor, new Float64Array(Math.max(1, Math.round(width / dt))).fill(V), dt, options);
+    const idle = (memristor, duration) => {
+        if (duration > 0) simulateMemristor(memristor, [0], duration, { ...options, method: 'rk45' });
+    };
+
+    const device = createDevice();
+    const reference = createDevice();
+    pulse(device, programVoltage, programWidth);
+    pulse(reference, programVoltage, programWidth);
+    const programmed = normalizedState(device);
+
+    const state = [];
+    const resistance = [];
+    const referenceState = [];
+    const referenceResistance = [];
+    let elapsed = 0;
+    let referenceElapsed = 0;
+    times.forEach(time => {
+        // Read resistance at the end of the pulse, from the device voltage
+        idle(device, time - elapsed);
+        const read = pulse(device, readVoltage, readWidth);
+        const last = read.I.length - 1;
+        resistance.push(read.Vd[last] / read.I[last]);
+        state.push(normalizedState(device));
+        elapsed = time + readWidth;
+
+        idle(reference, time - referenceElapsed);
+        referenceElapsed = time;
+        const u = solveDeviceVoltage(reference, readVoltage, options.seriesResistance, options.compliance);
+        referenceResistance.push(u / reference.getCurrent(u));
+        referenceState.push(normalizedState(reference));
+    });
+
+    return {
+        t: times,
+        programmed,
+        state,
+        resistance,
+        referenceState,
+        referenceResistance,
+        drift: state.map((s, k) => s - referenceState[k])
+    };
+}
@@ -0,0 +1,162 @@
+import { integrators } from './integrators.js';
+import { gaussian } from './random.js';
+
+// Circuit solving
+// Root of g on [a, b] where g(a) and g(b) have opposite signs, by regula falsi
+// with the Illinois modification; stops once |g| <= tolerance
+export function findRoot(g, a, b, tolerance) {
+    let fa = g(a);
+    let fb = g(b);
+    if (Math.abs(fa) <= tolerance) return a;
+    if (Math.abs(fb) <= tolerance) return b;
+
+    let side = 0;
+    let r = a;
+    for (let k = 0; k < 200; k++) {
+        r = (fa * b - fb * a) / (fa - fb);
+        const fr = g(r);
+        if (Math.abs(fr) <= tolerance) break;
+
+        if (fr * fb > 0) {
+            b = r;
+            fb = fr;
+            if (side === -1) fa /= 2;
+            side = -1;
+        } else {
+            a = r;
+            fa = fr;
+            if (side === 1) fb /= 2;
+            side = 1;
+        }
+    }
+    return r;
+}
+
+// Device voltage u of the circuit source -> R_s -> memristor, which solves
+// u + R_s * I(u) = V_src. With a compliance limit the current is clamped to
+// ±I_cc and u solves I(u) = ±I_cc instead. Every model's current increases
+// monotonically with its voltage, so the root lies between 0 and V_src.
+export function solveDeviceVoltage(memristor, V_src, R_s = 0, I_cc = Infinity) {
+    const tolerance = 1e-12 * Math.abs(V_src) + 1e-15;
+    let u = V_src;
+    if (R_s > 0) {
+        u = findRoot(v => v + R_s * memristor.getCurrent(v) - V_src, 0, V_src, tolerance);
+    }
+
+    const I = memristor.getCurrent(u);
+    if (Math.abs(I) > I_cc) {
+        const limit = Math.sign(I) * I_cc;
+        u = findRoot(v => memristor.getCurrent(v) - limit, 0, u, I_cc * 1e-12);
+    }
+    return u;
+}
+
+// Self-heating
+// Lumped thermal node of the device: C_th dT/dt = P - (T - T_amb) / R_th.
+// Over one sample the dissipated power P is held constant, so the node
+// relaxes exactly towards its steady state T_amb + P * R_th.
+function heat(T, P, dt, { R_th, C_th, T_amb }) {
+    const T_ss = T_amb + P * R_th;
+    return T_ss + (T - T_ss) * Math.exp(-dt / (R_th * C_th));
+}
+
+// Relaxation
+// Decay of the state towards a rest state with time constant tau at
+// RELAXATION_REFERENCE_T; an activation energy Ea (eV) makes it Arrhenius,
+// tau * exp(Ea/k * (1/T - 1/T_ref)) at device temperature T
+const RELAXATION_REFERENCE_T = 300;
+const ELEMENTARY_CHARGE_OVER_K = 1.602176634e-19 / 1.380649e-23;
+
+function relaxationTime({ tau, Ea = 0 }, T = RELAXATION_REFERENCE_T) {
+    return tau * Math.exp(Ea * ELEMENTARY_CHARGE_OVER_K * (1 / T - 1 / RELAXATION_REFERENCE_T));
+}
+
+// Simulation function
+// The source voltage is interpolated linearly between samples for the
+// intermediate stages of the higher-order integrators. With a series
+// resistance or a current compliance the device voltage is solved at every
+// evaluation. stateNoise scales each sample's state change by 1 + stateNoise * z
+// (cycle-to-cycle noise) and readNoise the recorded current by 1 + readNoise * z
+// (read noise), with z standard normal drawn from options.random.
+// options.thermal = { R_th, C_th, T_amb } adds the thermal node, heated by the
+// device's V·I; models whose switching depends on temperature take it through
+// setTemperature(T), held over each step, and T is recorded (else null).
+// options.relaxation = { tau, rest, Ea, T } adds -(s - rest) / tau(T) to the
+// state dynamics, with rest normalized to the state bounds and T the device
+// temperature, or relaxation.T without a thermal node.
+// onProgress(done, trajectory) is called every progressInterval samples with
+// the arrays being filled. Returns the full trajectory as Float64Arrays: time,
+// source and device voltage, current, normalized state, memristance and
+// device temperature.
+export function simulateMemristor(memristor, V_seq, dt, options = {}) {
+    const {
+        method = 'euler', rtol = 1e-6, atol = 1e-9, seriesResistance = 0, compliance = Infinity,
+        stateNoise = 0, readNoise = 0, random = Math.random, thermal = null,
+        relaxation = null, onProgress = null, progressInterval = 4096
+    } = options;
+    const step = integrators[method];
+    if (!step) {
+        throw new Error(`Unknown integrator: ${method}`);
+    }
+
+    const [lo, hi] = memristor.stateBounds();
+    const clamp = s => Math.max(lo, Math.min(s, hi));
+    const span = (hi - lo) || 1;
+    const ctx = { rtol, atol, span, h: dt, accepted: 0, rejected: 0 };
+    const circuit = seriesResistance > 0 || Number.isFinite(compliance);
+    const deviceVoltage = V => (circuit ? solveDeviceVoltage(memristor, V, seriesResistance, compliance) : V);
+    const n = V_seq.length;
+    const t = new Float64Array(n);
+    const Vd = new Float64Array(n);
+    const I_mem = new Float64Array(n);
+    const state = new Float64Array(n);
+    const M = new Float64Array(n);
+    const T = thermal ? new Float64Array(n) : null;
+    const trajectory = { t, Vd, I: I_mem, state, M, T };
+    let limited = 0;
+
+    const rest = relaxation ? lo + relaxation.rest * span : 0;
+    let temperature = thermal ? thermal.T_amb : null;
+    const coupled = thermal && typeof memristor.setTemperature === 'function';
+    if (coupled) memristor.setTemperature(temperature);
+
+    for (let i = 0; i < n; i++) {
+        const V0 = V_seq[i];
+        const V1 = i + 1 < n ? V_seq[i + 1] : V0;
+        const tau = relaxation ? relaxationTime(relaxation, thermal ? temperature : relaxation.T) : Infinity;
+        const f = (frac, s) => {
+            memristor.setState(s);
+            return memristor.stateDerivative(deviceVoltage(V0 + (V1 - V0) * frac)) - (s - rest) / tau;
+        };
+
+        const u = deviceVoltage(V0);
+        const current = memristor.getCurrent(u);
+        if (Math.abs(current) >= compliance * (1 - 1e-9)) limited++;
+
+        t[i] = i * dt;
+        Vd[i] = u;
+        I_mem[i] = readNoise > 0 ? current * (1 + readNoise * gaussian(random)) : current;
+        state[i] = (memristor.getState() - lo) / span;
+        M[i] = memristor.M;
+        const s = memristor.getState();
+        const next = step(f, s, dt, clamp, ctx);
+        memristor.setState(stateNoise > 0 ? clamp(s + (next - s) * (1 + stateNoise * gaussian(random))) : next);
+        if (thermal) {
+            T[i] = temperature;
+            temperature = heat(temperature, u * current, dt, thermal);
+            if (coupled) memristor.setTemperature(temperature);
+        }
+        if (onProgress && (i + 1) % progressInterval === 0) onProgress(i + 1, trajectory);
+    }
+
+    return {
+        t,
+        V: V_seq,
+        Vd,
+        I: I_mem,
+        state,
+        M,
+        T,
+        stats: { method, accepted: ctx.accepted, rejected: ctx.rejected, limited }
+    };
+}
@@ -0,0 +1,69 @@
+// Units
+const SI_PREFIXES = [
+    [1e12, 'T'], [1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''],
+    [1e-3, 'm'], [1e-6, 'μ'], [1e-9, 'n'], [1e-12, 'p'], [1e-15, 'f']
+];
+
+// Engineering notation with an SI prefix, e.g. formatEngineering(2.5e-6, 'A') -> '2.50 μA'
+export function formatEngineering(value, unit = '', digits = 3) {
+    if (!Number.isFinite(value)) return `${value} ${unit}`.trim();
+    if (value === 0) return `0 ${unit}`.trim();
+    const magnitude = Math.abs(value);
+    if (magnitude < 1e-15 * (1 - 5e-16)) return `${value.toExponential(digits - 1)} ${unit}`.trim();
+    const [scale, prefix] = SI_PREFIXES.find(([s]) => magnitude >= s * (1 - 5e-16)) || SI_PREFIXES[SI_PREFIXES.length - 1];
+    return `${(value / scale).toPrecision(digits)} ${prefix}${unit}`.trim();
+}
+
+// Entry fields
+// Prefixes as typed; u and µ (the micro sign) stand for μ. A control's unit
+// is split into a prefix and a base unit only for these base units.
+const PREFIX_SCALES = {
+    ...Object.fromEntries(SI_PREFIXES.filter(([, prefix]) => prefix).map(([scale, prefix]) => [prefix, scale])),
+    u: 1e-6,
+    µ: 1e-6
+};
+const BASE_UNITS = ['s', 'A', 'V', 'Ω', 'Hz', 'W', 'J', 'S', 'm'];
+
+// Base unit and scale of a control's unit, e.g. splitUnit('μs') -> ['s', 1e-6]
+function splitUnit(unit) {
+    const prefix = Object.keys(PREFIX_SCALES).find(p => unit.startsWith(p) && BASE_UNITS.includes(unit.slice(p.length)));
+    return prefix ? [unit.slice(prefix.length), PREFIX_SCALES[prefix]] : [unit, 1];
+}
+
+// Value typed into the entry field of a control in the given unit. A bare
+// number is in that unit; with an SI prefix or the base unit it is absolute,
+// so a μs field takes '1.5', '500n', '500 ns' and '2e-6 s'. NaN if the text
+// is not a number.
+export function parseEngineering(text, unit = '') {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*(.*)$/.exec(text.trim().replace(/^−/, '-'));
+    if (!match) return NaN;
+    const number = parseFloat(match[1]);
+    const suffix = match[2];
+    const [base, scale] = splitUnit(unit);
+    if (suffix === '' || suffix === unit) return number;
+    if (suffix === base) return Number((number / scale).toPrecision(15));
+    const prefix = Object.keys(PREFIX_SCALES).find(p => suffix.startsWith(p) && ['', base].includes(suffix.slice(p.length)));
+    return prefix ? Number((number * PREFIX_SCALES[prefix] / scale).toPrecision(15)) : NaN;
+}
+
+// Text that parseEngineering reads back as the value, in the display format
+// a model parameter declares ({ notation, digits }, see core/models.js) or
+// otherwise to 4 significant digits: a bare number where that stays short,
+// an SI prefix otherwise
+export function formatEntry(value, unit = '', format = null) {
+    const notation = format ? format.notation : null;
+    if (notation === 'fixed') return value.toFixed(format.digits);
+    if (notation === 'exponential') return value.toExponential(format.digits);
+    const engineering = notation === 'engineering';
+    const magnitude = Math.abs(value);
+    if (value === 0 || (!engineering && magnitude >= 1e-3 && magnitude < 1e4)) return String(Number(value.toPrecision(4)));
+    const [base, scale] = splitUnit(unit);
+    const absolute = magnitude * scale;
+    const entry = SI_PREFIXES.find(([s]) => absolute >= s * (1 - 5e-16));
+    if (!entry) return Number(value.toPrecision(4)).toExponential();
+    const [factor, prefix] = entry;
+    const mantissa = Math.sign(value) * absolute / factor;
+    if (!engineering) return `${Number(mantissa.toPrecision(4))}${prefix || base}`;
+    const decimals = Math.max(0, format.digits - 1 - Math.floor(Math.log10(absolute / factor)));
+    return `${mantissa.toFixed(decimals)}${prefix || base}`;
+}
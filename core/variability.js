@@ -0,0 +1,72 @@
+import { gaussian, createRandom } from './random.js';
+import { simulateMemristor } from './simulation.js';
+import { hysteresisMetrics } from './metrics.js';
+
+// Device-to-device variability
+// Parameter distributions around the nominal value: sigma is relative to the
+// nominal magnitude for the normal distribution and the standard deviation
+// of the logarithm for the lognormal one
+export const distributions = {
+    normal: {
+        name: 'Normal',
+        sample: (nominal, sigma, random) => nominal + sigma * Math.abs(nominal) * gaussian(random)
+    },
+    lognormal: {
+        name: 'Lognormal',
+        sample: (nominal, sigma, random) => nominal * Math.exp(sigma * gaussian(random))
+    }
+};
+
+// Monte Carlo runs over the same stimulus. createDevice(random) builds each
+// instance with its own sampled parameters; stateNoise and readNoise are the
+// cycle-to-cycle and read noise passed on to simulateMemristor. One seeded
+// generator feeds everything, so a seed reproduces the whole set of runs.
+export function monteCarlo(createDevice, V_seq, dt, options = {}, settings = {}) {
+    const { runs = 20, seed = 1, stateNoise = 0, readNoise = 0, readVoltage = 0.1 } = settings;
+    const random = createRandom(seed);
+    const traces = [];
+    for (let k = 0; k < runs; k++) {
+        traces.push(simulateMemristor(createDevice(random), V_seq, dt, { ...options, stateNoise, readNoise, random }));
+    }
+    return { traces, metrics: traces.map(trace => hysteresisMetrics(trace, readVoltage)) };
+}
+
+// Lowest, mean and highest current across the runs at every sample
+export function currentEnvelope(traces) {
+    const n = traces[0].I.length;
+    const lower = new Array(n);
+    const mean = new Array(n);
+    const upper = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let lo = Infinity;
+        let hi = -Infinity;
+        let sum = 0;
+        traces.forEach(trace => {
+            const current = trace.I[i];
+            if (current < lo) lo = current;
+            if (current > hi) hi = current;
+            sum += current;
+        });
+        lower[i] = lo;
+        mean[i] = sum / traces.length;
+        upper[i] = hi;
+    }
+    return { lower, mean, upper };
+}
+
+// Mean, sample standard deviation and extremes of the finite values; runs
+// without a value (e.g. no switching, hence no threshold) are left out
+export function sampleStatistics(values) {
+    const finite = values.filter(Number.isFinite);
+    const count = finite.length;
+    if (count === 0) return { count, mean: null, std: null, min: null, max: null };
+    const mean = finite.reduce((a, b) => a + b, 0) / count;
+    const variance = count > 1 ? finite.reduce((a, b) => a + (b - mean) ** 2, 0) / (count - 1) : 0;
+    return {
+        count,
+        mean,
+        std: Math.sqrt(variance),
+        min: finite.reduce((a, b) => Math.min(a, b)),
+        max: finite.reduce((a, b) => Math.max(a, b))
+    };
+}
@@ -0,0 +1,132 @@
+// Waveform generators
+// Trapezoidal pulse shape normalized to 1, starting at time 0
+function trapezoid(time, rise, width, fall) {
+    if (time < 0) return 0;
+    if (time < rise) return time / rise;
+    if (time < rise + width) return 1;
+    if (time < rise + width + fall) return 1 - (time - rise - width) / fall;
+    return 0;
+}
+
+export function parsePulsePattern(text) {
+    return text.split(/[\s,;]+/).filter(kind => kind !== '').map(kind => kind.toUpperCase());
+}
+
+// Each entry of the pattern (SET, RESET or READ) occupies one period slot,
+// and the whole pattern is repeated count times before the source returns to 0 V
+export function generatePulseTrain(t, { pattern, vSet, vReset, vRead, rise, fall, width, period, count }) {
+    const levels = { SET: vSet, RESET: vReset, READ: vRead };
+    const pulses = pattern.map(kind => {
+        if (!(kind in levels)) {
+            throw new Error(`Unknown pulse type: ${kind}`);
+        }
+        return levels[kind];
+    });
+    const totalSlots = pulses.length * count;
+
+    return t.map(time => {
+        const slot = Math.floor(time / period);
+        if (slot >= totalSlots) return 0;
+        return pulses[slot % pulses.length] * trapezoid(time - slot * period, rise, width, fall);
+    });
+}
+
+// Levels of one sweep cycle; a double sweep returns towards the start without
+// repeating the end points, so consecutive cycles join seamlessly
+export function staircaseLevels(start, stop, step, mode) {
+    const n = Math.max(1, Math.round(Math.abs(stop - start) / step));
+    const levels = Array.from({ length: n + 1 }, (_, i) => start + (stop - start) * i / n);
+    if (mode === 'double') {
+        levels.push(...levels.slice(1, -1).reverse());
+    }
+    return levels;
+}
+
+export function generateStaircase(t, { start, stop, step, dwell, mode }) {
+    const levels = staircaseLevels(start, stop, step, mode);
+    return t.map(time => levels[Math.floor(time / dwell) % levels.length]);
+}
+
+// Parses a (time, voltage) table, one point per line. Cells may be separated
+// by tabs, commas, semicolons or spaces; with tab-separated cells a decimal
+// comma is accepted, so ranges copied from a spreadsheet paste directly.
+// A non-numeric first row is treated as a header.
+export function parsePWL(text) {
+    const points = [];
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, n) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        const cells = trimmed.includes('\t')
+            ? trimmed.split('\t').map(cell => cell.trim().replace(',', '.'))
+            : trimmed.split(/[,;\s]+/);
+        const time = Number(cells[0]);
+        const voltage = Number(cells[1]);
+
+        if (cells.length < 2 || cells[0] === '' || cells[1] === '' || !isFinite(time) || !isFinite(voltage)) {
+            if (points.length === 0 && !/^[-+.\d]/.test(cells[0])) return;
+            throw new Error(`PWL line ${n + 1}: expected a time and a voltage`);
+        }
+        if (points.length > 0 && time <= points[points.length - 1][0]) {
+            throw new Error(`PWL line ${n + 1}: time values must increase`);
+        }
+        points.push([time, voltage]);
+    });
+
+    if (points.length === 0) {
+        throw new Error('PWL table is empty');
+    }
+    return points;
+}
+
+// Linear interpolation of the (time, voltage) points; the first and last
+// voltages are held outside the table. Expects t in ascending order.
+export function generatePWL(t, points) {
+    let k = 0;
+    const last = points.length - 1;
+
+    return t.map(time => {
+        while (k < last && points[k + 1][0] <= time) k++;
+        if (time <= points[0][0]) return points[0][1];
+        if (k === last) return points[last][1];
+        const [t0, v0] = points[k];
+        const [t1, v1] = points[k + 1];
+        return v0 + (v1 - v0) * (time - t0) / (t1 - t0);
+    });
+}
+
+// `source` carries the settings of the pulse, staircase and pwl source types
+export function generateWaveform(type, t, frequency, amplitude, source = {}) {
+    const omega = 2 * Math.PI * frequency;
+
+    switch (type) {
+        case 'sine':
+            return t.map(time => amplitude * Math.sin(omega * time));
+        case 'square':
+            return t.map(time => amplitude * Math.sign(Math.sin(omega * time)));
+        case 'triangle':
+            return t.map(time => {
+                const phase = (omega * time) % (2 * Math.PI);
+                if (phase < Math.PI) {
+                    return amplitude * (2 * phase / Math.PI - 1);
+                } else {
+                    return amplitude * (3 - 2 * phase / Math.PI);
+                }
+            });
+        case 'sawtooth':
+            return t.map(time => {
+                const phase = (omega * time) % (2 * Math.PI);
+                return amplitude * (2 * phase / (2 * Math.PI) - 1);
+            });
+        case 'pulse':
+            return generatePulseTrain(t, source);
+        case 'staircase':
+            return generateStaircase(t, source);
+        case 'pwl':
+            return generatePWL(t, source.points);
+        default:
+            return t.map(time => amplitude * Math.sin(omega * time));
+    }
+}
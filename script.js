@@ -1,278 +1,35 @@
-// Memristor Models
-class BiolekMemristor {
-    constructor(mu_v = 1e-9, D = 1e-8, R_ON = 100, R_OFF = 16e3, w_init = null, p = 1) {
-        this.mu_v = mu_v;
-        this.D = D;
-        this.R_ON = R_ON;
-        this.R_OFF = R_OFF;
-        this.w = w_init !== null ? Math.max(0, Math.min(w_init, this.D)) : D / 2;
-        this.p = p;
-        this._updateMemristance();
-    }
-
-    _updateMemristance() {
-        this.M = this.R_ON * (this.w / this.D) + this.R_OFF * (1 - (this.w / this.D));
-        this.W = 1.0 / this.M;
-    }
-
-    stepFunction(i) {
-        return i >= 0 ? 1.0 : 0.0;
-    }
-
-    windowFunction(x, i) {
-        return 1.0 - Math.pow(x - this.stepFunction(-i), 2 * this.p);
-    }
-
-    updateState(V, dt) {
-        const i = this.getCurrent(V);
-        const f_w = this.windowFunction(this.w / this.D, i);
-        const dw_dt = this.mu_v * (this.R_ON / this.D) * i * f_w;
-        this.w += dw_dt * dt;
-        this.w = Math.max(0, Math.min(this.w, this.D));
-        this._updateMemristance();
-    }
-
-    getCurrent(V) {
-        return V / this.M;
-    }
-}
-
-class JoglekarMemristor {
-    constructor(mu_v = 1e-9, D = 1e-8, R_ON = 100, R_OFF = 16e3, w_init = null, p = 1) {
-        this.mu_v = mu_v;
-        this.D = D;
-        this.R_ON = R_ON;
-        this.R_OFF = R_OFF;
-        this.w = w_init !== null ? Math.max(0, Math.min(w_init, this.D)) : D / 2;
-        this.p = p;
-        this._updateMemristance();
-    }
-
-    _updateMemristance() {
-        this.M = this.R_ON * (this.w / this.D) + this.R_OFF * (1 - (this.w / this.D));
-        this.W = 1.0 / this.M;
-    }
-
-    windowFunction(x) {
-        return 1 - Math.pow(2 * x - 1, 2 * this.p);
-    }
-
-    updateState(V, dt) {
-        const i = this.getCurrent(V);
-        const f_w = this.windowFunction(this.w / this.D);
-        const dw_dt = this.mu_v * (this.R_ON / this.D) * i * f_w;
-        this.w += dw_dt * dt;
-        this.w = Math.max(0, Math.min(this.w, this.D));
-        this._updateMemristance();
-    }
-
-    getCurrent(V) {
-        return V / this.M;
-    }
-}
-
-class LinearIonDriftMemristor {
-    constructor(mu_v = 1e-9, D = 1e-8, R_ON = 100, R_OFF = 16e3, w_init = null) {
-        this.mu_v = mu_v;
-        this.D = D;
-        this.R_ON = R_ON;
-        this.R_OFF = R_OFF;
-        this.w = w_init !== null ? Math.max(0, Math.min(w_init, this.D)) : D / 2;
-        this._updateMemristance();
-    }
-
-    _updateMemristance() {
-        this.M = this.R_ON * (this.w / this.D) + this.R_OFF * (1 - (this.w / this.D));
-        this.W = 1.0 / this.M;
-    }
-
-    updateState(V, dt) {
-        const i = this.getCurrent(V);
-        const dw_dt = (this.mu_v * this.R_ON / this.D) * i;
-        this.w += dw_dt * dt;
-        this.w = Math.max(0, Math.min(this.w, this.D));
-        this._updateMemristance();
-    }
-
-    getCurrent(V) {
-        return V / this.M;
-    }
-}
-
-class VTEAMMemristor {
-    constructor(k_off = 5e-4, k_on = -10, alpha_off = 3, alpha_on = 1, w_off = 3e-9, w_on = 0, w_init = 0, a_off = 0.8, a_on = 0.2, w_c = 0.12, u_off = 0.5, u_on = -0.5, R_on = 100, R_off = 2.5e3) {
-        this.k_off = k_off; this.k_on = k_on;
-        this.alpha_off = alpha_off; this.alpha_on = alpha_on;
-        this.w_off = w_off; this.w_on = w_on;
-        this.w = Math.min(this.w_off, Math.max(this.w_on, w_init));
-        this.a_off = a_off; this.a_on = a_on; this.w_c = w_c;
-        this.u_off = u_off; this.u_on = u_on;
-        this.R_on = R_on; this.R_off = R_off;
-        this._updateMemristance();
-    }
-
-    f_off(w) {
-        return Math.exp(-Math.exp((w - this.a_off) / this.w_c));
-    }
-    f_on(w) {
-        return Math.exp(-Math.exp(-(w - this.a_on) / this.w_c));
-    }
-
-    _updateMemristance() {
-        const λ = Math.log(this.R_off / this.R_on);
-        this.M = this.R_on * Math.exp((λ / (this.w_off - this.w_on)) * (this.w - this.w_on));
-        this.W = 1 / this.M;
-    }
-
-    updateState(u, dt) {
-        let dw_dt = 0;
-        if (0 < this.u_off && u > this.u_off) {
-            dw_dt = this.k_off * Math.pow(u / this.u_off - 1, this.alpha_off) * this.f_off(this.w);
-        } else if (u < this.u_on && this.u_on < 0) {
-            dw_dt = this.k_on * Math.pow(u / this.u_on - 1, this.alpha_on) * this.f_on(this.w);
-        }
-        this.w = Math.min(this.w_off, Math.max(this.w_on, this.w + dw_dt * dt));
-        this._updateMemristance();
-    }
-
-    getCurrent(u) {
-        const λ = Math.log(this.R_off / this.R_on);
-        const expTerm = Math.exp((-λ / (this.w_off - this.w_on)) * (this.w - this.w_on));
-        return (u / this.R_on) * expTerm;
-    }
-}
-
-class MMSMemristor {
-    constructor(R_on = 500, R_off = 1500, U_on = 0.27, U_off = 0.27, tau = 1e-4, T = 298.5, x_init = 0) {
-        this.R_on = R_on;
-        this.R_off = R_off;
-        this.U_on = U_on;
-        this.U_off = U_off;
-        this.tau = tau;
-        this.T = T;
-        this.q = 1.602176634e-19;
-        this.k = 1.380649e-23;
-        this.x = Math.max(0, Math.min(x_init, 1));
-        this._updateMemristance();
-    }
-
-    _updateMemristance() {
-        this.W = this.x / this.R_on + (1.0 - this.x) / this.R_off;
-        this.M = 1.0 / this.W;
-    }
-
-    updateState(V, dt) {
-        const alpha = dt / this.tau;
-        const beta = this.q / (this.k * this.T);
-        const P_on = alpha / (1 + Math.exp(-beta * (V - this.U_on)));
-        const P_off = alpha * (1 - 1 / (1 + Math.exp(-beta * (V + this.U_off))));
-        const N_on = P_on * (1 - this.x);
-        const N_off = P_off * this.x;
-        this.x += N_on - N_off;
-        this.x = Math.max(0, Math.min(this.x, 1));
-        this._updateMemristance();
-    }
-
-    getCurrent(V) {
-        return V * this.W;
-    }
-}
-
-class YakopcicMemristor {
-    constructor(A_p = 4000, A_n = 4000, U_p = 0.5, U_n = 0.5, alpha_p = 1, alpha_n = 5, x_p = 0.3, x_n = 0.3, a1 = 0.17, a2 = 0.17, b = 0.05, x_init = 0, x_on = 0) {
-        this.A_p = A_p; this.A_n = A_n;
-        this.U_p = U_p; this.U_n = U_n;
-        this.alpha_p = alpha_p; this.alpha_n = alpha_n;
-        this.x_p = x_p; this.x_n = x_n;
-        this.a1 = a1; this.a2 = a2;
-        this.b = b;
-        this.x_on = x_on;
-        this.x = Math.min(1, Math.max(this.x_on, x_init));
-        this._updateMemristance();
-    }
-
-    g(u) {
-        if (u > this.U_p) return this.A_p * (Math.exp(u) - Math.exp(this.U_p));
-        if (u < -this.U_n) return -this.A_n * (Math.exp(-u) - Math.exp(this.U_n));
-        return 0;
-    }
-
-    f_p(x) {
-        if (x >= this.x_p) {
-            const wp = (this.x_p - x) / (1 - this.x_p) + 1;
-            return Math.exp(-this.alpha_p * (x - this.x_p)) * wp;
-        }
-        return 1;
-    }
-    f_n(x) {
-        if (x <= (1 - this.x_n)) {
-            const wn = x / (1 - this.x_n);
-            return Math.exp(this.alpha_n * (x + this.x_n - 1)) * wn;
-        }
-        return 1;
-    }
-
-    f(x, u) {
-        return u >= 0 ? this.f_p(x) : this.f_n(x);
-    }
-
-    _updateMemristance() {
-        this.W = this.a1 * this.x * Math.sinh(this.b);
-        this.M = 1 / this.W;
-    }
-
-    updateState(u, dt) {
-        const dx = this.g(u) * this.f(this.x, u);
-        this.x = Math.min(1, Math.max(this.x_on, this.x + dx * dt));
-        this._updateMemristance();
-    }
-
-    getCurrent(u) {
-        if (u >= 0) return this.a1 * this.x * Math.sinh(this.b * u);
-        else return this.a2 * this.x * Math.sinh(this.b * u);
-    }
+import {
+    modelRegistry, createModel, parameterViolations,
+    parsePulsePattern, parsePWL, generatePWL, generateWaveform,
+    hysteresisMetrics, sweepValues, sweepMetrics, powerTrace, switchingEvents,
+    stateDerivativeMap, thresholdCurves, modelThresholds,
+    distributions, currentEnvelope, sampleStatistics,
+    exportVerilogA, exportSpice, parameterLibrary, logicGates,
+    parseDelimited, parseMeasurement, measuredWaveform, thinMeasurement, measurementError,
+    NelderMeadOptimizer, formatEngineering, parseEngineering, formatEntry
+} from './core/index.js';
+
+// Configuration links
+// A configuration travels in the URL fragment as base64url-encoded JSON
+function encodeConfiguration(config) {
+    let binary = '';
+    new TextEncoder().encode(JSON.stringify(config)).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
-// Waveform generators
-function generateWaveform(type, t, frequency, amplitude) {
-    const omega = 2 * Math.PI * frequency;
-
-    switch (type) {
-        case 'sine':
-            return t.map(time => amplitude * Math.sin(omega * time));
-        case 'square':
-            return t.map(time => amplitude * Math.sign(Math.sin(omega * time)));
-        case 'triangle':
-            return t.map(time => {
-                const phase = (omega * time) % (2 * Math.PI);
-                if (phase < Math.PI) {
-                    return amplitude * (2 * phase / Math.PI - 1);
-                } else {
-                    return amplitude * (3 - 2 * phase / Math.PI);
-                }
-            });
-        case 'sawtooth':
-            return t.map(time => {
-                const phase = (omega * time) % (2 * Math.PI);
-                return amplitude * (2 * phase / (2 * Math.PI) - 1);
-            });
-        default:
-            return t.map(time => amplitude * Math.sin(omega * time));
-    }
+function decodeConfiguration(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
 }
 
-// Simulation function
-function simulateMemristor(memristor, V_seq, dt) {
-    const I_mem = [];
-
-    for (let i = 0; i < V_seq.length; i++) {
-        const current = memristor.getCurrent(V_seq[i]);
-        I_mem.push(current);
-        memristor.updateState(V_seq[i], dt);
-    }
-
-    return I_mem;
-}
+// Sliders that moved from the decade exponent to their value on a log scale,
+// by their former ids
+const LEGACY_EXPONENTS = {
+    rtolExp: 'rtol', atolExp: 'atol', thermalRExp: 'thermalR', thermalCExp: 'thermalC',
+    relaxTauExp: 'relaxTau', retStartExp: 'retStart', retStopExp: 'retStop', logicRGExp: 'logicRG'
+};
 
 // Theme Management
 function getSystemTheme() {
@@ -331,99 +88,267 @@ function updateThemeButton(theme) {
 // UI Management
 class SimulatorUI {
     constructor() {
+        this.lockedParams = new Set();
+        this.fit = null;
+        this.compareModels = new Set();
+        this.pinned = [];
+        this.pinCount = 0;
+        this.variations = [];
+        this.modelParameters = {};
+        this.workers = {};
+        this.jobs = {};
+        this.jobCount = 0;
+        this.simulationTimer = null;
         this.initializeElements();
+        this.buildModelControls();
+        this.initializeValueFields();
         this.setupEventListeners();
         this.updateAllDisplays();
         this.initializeChart();
+        this.updateModeControls();
         this.updateModelControls();
-        this.runSimulation();
+        this.updateSourceControls();
+        this.updateIntegratorControls();
+        this.updateCircuitControls();
+        this.updateRelaxationControls();
+        this.updateLogicControls();
+        this.updateMeasurementControls();
+        this.updateFitControls();
+        this.updateCompareControls();
+        this.updateSweepControls();
+        this.updateVariationControls();
+        this.updatePresetControls();
+
+        // A link carrying a configuration restores it
+        let linked = null;
+        try {
+            linked = this.getLinkedConfiguration();
+        } catch (error) {
+            console.error('Invalid configuration link:', error);
+        }
+        if (linked) {
+            this.applyConfiguration(linked);
+        } else {
+            this.runSimulation();
+        }
     }
 
     initializeElements() {
         // Get all UI elements
         this.elements = {
+            modeSelect: document.getElementById('modeSelect'),
             modelSelect: document.getElementById('modelSelect'),
+            modelParams: document.getElementById('modelParams'),
+            paramError: document.getElementById('paramError'),
+            exportVerilogABtn: document.getElementById('exportVerilogABtn'),
+            exportSpiceBtn: document.getElementById('exportSpiceBtn'),
+            presetName: document.getElementById('presetName'),
+            presetSaveBtn: document.getElementById('presetSaveBtn'),
+            presetSelect: document.getElementById('presetSelect'),
+            presetLoadBtn: document.getElementById('presetLoadBtn'),
+            presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+            librarySelect: document.getElementById('librarySelect'),
+            libraryApplyBtn: document.getElementById('libraryApplyBtn'),
+            presetFile: document.getElementById('presetFile'),
+            presetError: document.getElementById('presetError'),
+            presetExportBtn: document.getElementById('presetExportBtn'),
+            shareBtn: document.getElementById('shareBtn'),
             waveformSelect: document.getElementById('waveformSelect'),
             frequency: document.getElementById('frequency'),
             amplitude: document.getElementById('amplitude'),
-            muV: document.getElementById('muV'),
-            D: document.getElementById('D'),
-            rOn: document.getElementById('rOn'),
-            rOff: document.getElementById('rOff'),
-            uOn: document.getElementById('uOn'),
-            uOff: document.getElementById('uOff'),
-            tau: document.getElementById('tau'),
-            temperature: document.getElementById('temperature'),
-            p: document.getElementById('p'),
+            pulsePattern: document.getElementById('pulsePattern'),
+            pulseVSet: document.getElementById('pulseVSet'),
+            pulseVReset: document.getElementById('pulseVReset'),
+            pulseVRead: document.getElementById('pulseVRead'),
+            pulseRise: document.getElementById('pulseRise'),
+            pulseFall: document.getElementById('pulseFall'),
+            pulseWidth: document.getElementById('pulseWidth'),
+            pulsePeriod: document.getElementById('pulsePeriod'),
+            pulseCount: document.getElementById('pulseCount'),
+            stairMode: document.getElementById('stairMode'),
+            stairStart: document.getElementById('stairStart'),
+            stairStop: document.getElementById('stairStop'),
+            stairStep: document.getElementById('stairStep'),
+            stairDwell: document.getElementById('stairDwell'),
+            pwlTable: document.getElementById('pwlTable'),
+            pwlError: document.getElementById('pwlError'),
             resetBtn: document.getElementById('resetBtn'),
             statusText: document.getElementById('statusText'),
-            pControl: document.getElementById('pControl'),
-            vtKOff: document.getElementById('vtKOff'),
-            vtKOn: document.getElementById('vtKOn'),
-            vtAlphaOff: document.getElementById('vtAlphaOff'),
-            vtAlphaOn: document.getElementById('vtAlphaOn'),
-            vtWOff: document.getElementById('vtWOff'),
-            vtWOn: document.getElementById('vtWOn'),
-            vtAOff: document.getElementById('vtAOff'),
-            vtAOn: document.getElementById('vtAOn'),
-            vtWC: document.getElementById('vtWC'),
-            vtUOff: document.getElementById('vtUOff'),
-            vtUOn: document.getElementById('vtUOn'),
-            ycAp: document.getElementById('ycAp'),
-            ycAn: document.getElementById('ycAn'),
-            ycUp: document.getElementById('ycUp'),
-            ycUn: document.getElementById('ycUn'),
-            ycAlphaP: document.getElementById('ycAlphaP'),
-            ycAlphaN: document.getElementById('ycAlphaN'),
-            ycXp: document.getElementById('ycXp'),
-            ycXn: document.getElementById('ycXn'),
-            ycA1: document.getElementById('ycA1'),
-            ycA2: document.getElementById('ycA2'),
-            ycB: document.getElementById('ycB'),
-            ycXOn: document.getElementById('ycXOn'),
             duration: document.getElementById('duration'),
-            timeStep: document.getElementById('timeStep')
+            timeStep: document.getElementById('timeStep'),
+            integratorSelect: document.getElementById('integratorSelect'),
+            seriesR: document.getElementById('seriesR'),
+            complianceMode: document.getElementById('complianceMode'),
+            compliance: document.getElementById('compliance'),
+            thermalMode: document.getElementById('thermalMode'),
+            thermalR: document.getElementById('thermalR'),
+            thermalC: document.getElementById('thermalC'),
+            ambientT: document.getElementById('ambientT'),
+            relaxMode: document.getElementById('relaxMode'),
+            relaxTau: document.getElementById('relaxTau'),
+            relaxRest: document.getElementById('relaxRest'),
+            relaxEa: document.getElementById('relaxEa'),
+            rtol: document.getElementById('rtol'),
+            atol: document.getElementById('atol'),
+            measFile: document.getElementById('measFile'),
+            measDelimiter: document.getElementById('measDelimiter'),
+            measVColumn: document.getElementById('measVColumn'),
+            measVUnit: document.getElementById('measVUnit'),
+            measIColumn: document.getElementById('measIColumn'),
+            measIUnit: document.getElementById('measIUnit'),
+            measTColumn: document.getElementById('measTColumn'),
+            measTUnit: document.getElementById('measTUnit'),
+            measDrive: document.getElementById('measDrive'),
+            measError: document.getElementById('measError'),
+            measClearBtn: document.getElementById('measClearBtn'),
+            fitParams: document.getElementById('fitParams'),
+            fitMaxIter: document.getElementById('fitMaxIter'),
+            fitBtn: document.getElementById('fitBtn'),
+            fitStopBtn: document.getElementById('fitStopBtn'),
+            fitStatus: document.getElementById('fitStatus'),
+            compareModels: document.getElementById('compareModels'),
+            pinnedList: document.getElementById('pinnedList'),
+            pinBtn: document.getElementById('pinBtn'),
+            sweepParam: document.getElementById('sweepParam'),
+            sweepFrom: document.getElementById('sweepFrom'),
+            sweepTo: document.getElementById('sweepTo'),
+            sweepCount: document.getElementById('sweepCount'),
+            sweepSpacing: document.getElementById('sweepSpacing'),
+            sweepMetric: document.getElementById('sweepMetric'),
+            sweepError: document.getElementById('sweepError'),
+            mcRuns: document.getElementById('mcRuns'),
+            mcSeed: document.getElementById('mcSeed'),
+            mcParam: document.getElementById('mcParam'),
+            mcDistribution: document.getElementById('mcDistribution'),
+            mcSigma: document.getElementById('mcSigma'),
+            mcError: document.getElementById('mcError'),
+            mcVariations: document.getElementById('mcVariations'),
+            mcAddBtn: document.getElementById('mcAddBtn'),
+            mcStateNoise: document.getElementById('mcStateNoise'),
+            mcReadNoise: document.getElementById('mcReadNoise'),
+            mcDisplay: document.getElementById('mcDisplay'),
+            mcResults: document.getElementById('mcResults'),
+            retProgramV: document.getElementById('retProgramV'),
+            retProgramWidth: document.getElementById('retProgramWidth'),
+            retReadV: document.getElementById('retReadV'),
+            retReadWidth: document.getElementById('retReadWidth'),
+            retStart: document.getElementById('retStart'),
+            retStop: document.getElementById('retStop'),
+            retReads: document.getElementById('retReads'),
+            retError: document.getElementById('retError'),
+            retentionResults: document.getElementById('retentionResults'),
+            plasPulses: document.getElementById('plasPulses'),
+            plasVp: document.getElementById('plasVp'),
+            plasVd: document.getElementById('plasVd'),
+            plasWidth: document.getElementById('plasWidth'),
+            plasGap: document.getElementById('plasGap'),
+            plasResolution: document.getElementById('plasResolution'),
+            plasError: document.getElementById('plasError'),
+            stdpPreShape: document.getElementById('stdpPreShape'),
+            stdpPreAmp: document.getElementById('stdpPreAmp'),
+            stdpPreWidth: document.getElementById('stdpPreWidth'),
+            stdpPostShape: document.getElementById('stdpPostShape'),
+            stdpPostAmp: document.getElementById('stdpPostAmp'),
+            stdpPostWidth: document.getElementById('stdpPostWidth'),
+            stdpRange: document.getElementById('stdpRange'),
+            stdpPoints: document.getElementById('stdpPoints'),
+            plasticityResults: document.getElementById('plasticityResults'),
+            routeVmax: document.getElementById('routeVmax'),
+            routeCurves: document.getElementById('routeCurves'),
+            logicGate: document.getElementById('logicGate'),
+            logicVCond: document.getElementById('logicVCond'),
+            logicVSet: document.getElementById('logicVSet'),
+            logicRG: document.getElementById('logicRG'),
+            logicV0: document.getElementById('logicV0'),
+            logicVInit: document.getElementById('logicVInit'),
+            logicWidth: document.getElementById('logicWidth'),
+            logicError: document.getElementById('logicError'),
+            logicResults: document.getElementById('logicResults'),
+            metricsVRead: document.getElementById('metricsVRead'),
+            eventLow: document.getElementById('eventLow'),
+            eventHigh: document.getElementById('eventHigh'),
+            eventResults: document.getElementById('eventResults'),
+            fingerprintBtn: document.getElementById('fingerprintBtn'),
+            fingerprintError: document.getElementById('fingerprintError'),
+            metricsResults: document.getElementById('metricsResults'),
+            fingerprintResults: document.getElementById('fingerprintResults'),
+            xbRows: document.getElementById('xbRows'),
+            xbCols: document.getElementById('xbCols'),
+            xbWireR: document.getElementById('xbWireR'),
+            xbSelRow: document.getElementById('xbSelRow'),
+            xbSelCol: document.getElementById('xbSelCol'),
+            xbPattern: document.getElementById('xbPattern'),
+            xbWriteScheme: document.getElementById('xbWriteScheme'),
+            xbVWrite: document.getElementById('xbVWrite'),
+            xbWidth: document.getElementById('xbWidth'),
+            xbReadScheme: document.getElementById('xbReadScheme'),
+            xbVRead: document.getElementById('xbVRead'),
+            xbSeed: document.getElementById('xbSeed'),
+            xbError: document.getElementById('xbError'),
+            crossbarResults: document.getElementById('crossbarResults')
         };
 
-        // Value display elements
-        this.valueDisplays = {
-            freqValue: document.getElementById('freqValue'),
-            ampValue: document.getElementById('ampValue'),
-            muVValue: document.getElementById('muVValue'),
-            DValue: document.getElementById('DValue'),
-            rOnValue: document.getElementById('rOnValue'),
-            rOffValue: document.getElementById('rOffValue'),
-            uOnValue: document.getElementById('uOnValue'),
-            uOffValue: document.getElementById('uOffValue'),
-            tauValue: document.getElementById('tauValue'),
-            temperatureValue: document.getElementById('temperatureValue'),
-            pValue: document.getElementById('pValue'),
-            vtKOffValue: document.getElementById('vtKOffValue'),
-            vtKOnValue: document.getElementById('vtKOnValue'),
-            vtAlphaOffValue: document.getElementById('vtAlphaOffValue'),
-            vtAlphaOnValue: document.getElementById('vtAlphaOnValue'),
-            vtWOffValue: document.getElementById('vtWOffValue'),
-            vtWOnValue: document.getElementById('vtWOnValue'),
-            vtAOffValue: document.getElementById('vtAOffValue'),
-            vtAOnValue: document.getElementById('vtAOnValue'),
-            vtWCValue: document.getElementById('vtWCValue'),
-            vtUOffValue: document.getElementById('vtUOffValue'),
-            vtUOnValue: document.getElementById('vtUOnValue'),
-            ycApValue: document.getElementById('ycApValue'),
-            ycAnValue: document.getElementById('ycAnValue'),
-            ycUpValue: document.getElementById('ycUpValue'),
-            ycUnValue: document.getElementById('ycUnValue'),
-            ycAlphaPValue: document.getElementById('ycAlphaPValue'),
-            ycAlphaNValue: document.getElementById('ycAlphaNValue'),
-            ycXpValue: document.getElementById('ycXpValue'),
-            ycXnValue: document.getElementById('ycXnValue'),
-            ycA1Value: document.getElementById('ycA1Value'),
-            ycA2Value: document.getElementById('ycA2Value'),
-            ycBValue: document.getElementById('ycBValue'),
-            ycXOnValue: document.getElementById('ycXOnValue'),
-            durationValue: document.getElementById('durationValue'),
-            timeStepValue: document.getElementById('timeStepValue')
-        };
+        // Log-scale sliders are written in their own units
+        document.querySelectorAll('input[type="range"][data-scale="log"]').forEach(input => this.setLogScale(input));
+    }
+
+    // Entry fields: the field with a slider's id plus Value, and below it the
+    // error for text that cannot be applied. A typed value is applied on
+    // Enter or when the field loses focus; a model parameter's field shows it
+    // in the parameter's display format.
+    initializeValueFields() {
+        this.valueFields = {};
+        document.querySelectorAll('input[type="range"]').forEach(input => {
+            const field = document.getElementById(`${input.id}Value`);
+            if (!field) return;
+            const error = document.createElement('span');
+            error.className = 'input-error';
+            field.after(error);
+
+            const [, unit = ''] = this.getSliderLabel(input).match(/\(([^()]*)\)$/) || [];
+            const { format = null } = this.modelParameters[input.id] || {};
+            const entry = { input, field, error, unit, format };
+            this.valueFields[input.id] = entry;
+            field.addEventListener('change', () => this.enterValue(entry));
+        });
+    }
+
+    // Applies a typed value to its slider. Text that is not a number and
+    // values outside the slider's range are shown as errors instead; a
+    // whole-step slider rounds to its step, and a linear slider gives up its
+    // steps to take a value between them, keeping them in data-step until a
+    // value on them or a reset brings them back.
+    enterValue(entry) {
+        const { input, field, unit } = entry;
+        const { min, max } = this.getControlRange(input);
+        const slack = 1e-9 * Math.max(Math.abs(min), Math.abs(max));
+        let value = parseEngineering(field.value, unit);
+        if (Number.isNaN(value)) {
+            this.setEntryError(entry, `"${field.value.trim()}" is not a number`);
+            return;
+        }
+        if (value < min - slack || value > max + slack) {
+            this.setEntryError(entry, `Enter a value from ${formatEntry(min, unit)} to ${formatEntry(max, unit)}`);
+            return;
+        }
+
+        if (input.dataset.step) input.step = input.dataset.step;
+        const step = parseFloat(input.step);
+        const steps = (value - min) / step;
+        if (step >= 1) {
+            value = min + Math.round(steps) * step;
+        } else if (step > 0 && Math.abs(steps - Math.round(steps)) > 1e-9) {
+            input.dataset.step = input.step;
+            input.step = 'any';
+        }
+        this.writeControl(input, Math.min(max, Math.max(min, value)));
+        input.dispatchEvent(new Event('input'));
+    }
+
+    setEntryError({ field, error }, message) {
+        error.textContent = message;
+        field.classList.toggle('invalid', message !== '');
+        field.closest('.control-row').classList.toggle('has-error', message !== '');
     }
 
     setupEventListeners() {
@@ -433,15 +358,49 @@ class SimulatorUI {
             themeToggle.addEventListener('click', toggleTheme);
         }
 
+        // Mode selection
+        this.elements.modeSelect.addEventListener('change', () => this.updateModeControls());
+
         // Model selection
         this.elements.modelSelect.addEventListener('change', () => {
+            this.stopFit();
             this.updateModelControls();
+            this.updateFitControls();
+            this.updateSweepControls();
+            this.updateVariationControls();
             this.runSimulation();
         });
 
-        // Real-time parameter updates
+        // Source selection
+        this.elements.waveformSelect.addEventListener('change', () => {
+            this.updateSourceControls();
+            this.updateSweepControls();
+        });
+
+        // Integrator selection
+        this.elements.integratorSelect.addEventListener('change', () => this.updateIntegratorControls());
+
+        // Compliance, self-heating and relaxation on/off
+        [this.elements.complianceMode, this.elements.thermalMode, this.elements.relaxMode].forEach(select => {
+            select.addEventListener('change', () => {
+                this.updateCircuitControls();
+                this.updateRelaxationControls();
+                this.updateSweepControls();
+            });
+        });
+
+        // Logic gate: IMPLY or MAGIC voltages
+        this.elements.logicGate.addEventListener('change', () => this.updateLogicControls());
+
+        // Swept control: start from its full slider range
+        this.elements.sweepParam.addEventListener('change', () => this.setSweepRange());
+
+        // Real-time parameter updates; the Presets group only acts through
+        // its buttons
         Object.keys(this.elements).forEach(key => {
-            if (this.elements[key].type === 'range' || this.elements[key].tagName === 'SELECT') {
+            const el = this.elements[key];
+            if (el.closest('.presets')) return;
+            if (el.type === 'range' || el.type === 'text' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') {
                 this.elements[key].addEventListener('input', () => {
                     this.updateAllDisplays();
                     this.runSimulation();
@@ -449,263 +408,2379 @@ class SimulatorUI {
             }
         });
 
+        // Measured data
+        this.elements.measFile.addEventListener('change', () => {
+            const file = this.elements.measFile.files[0];
+            if (file) this.loadMeasurementFile(file);
+        });
+        this.elements.measDelimiter.addEventListener('change', () => this.populateMeasurementColumns());
+
         // Buttons
         this.elements.resetBtn.addEventListener('click', () => this.resetSimulation());
+        this.elements.measClearBtn.addEventListener('click', () => this.clearMeasurement());
+        this.elements.fitBtn.addEventListener('click', () => this.startFit());
+        this.elements.fitStopBtn.addEventListener('click', () => this.stopFit());
+        this.elements.pinBtn.addEventListener('click', () => this.pinParameters());
+        this.elements.fingerprintBtn.addEventListener('click', () => this.checkFingerprint());
+        this.elements.mcAddBtn.addEventListener('click', () => this.addVariation());
+        this.elements.exportVerilogABtn.addEventListener('click', () => this.exportModel('verilog-a'));
+        this.elements.exportSpiceBtn.addEventListener('click', () => this.exportModel('spice'));
+
+        // Presets, the literature library and links
+        this.elements.presetSaveBtn.addEventListener('click', () => this.savePreset());
+        this.elements.presetLoadBtn.addEventListener('click', () => this.loadPreset());
+        this.elements.presetDeleteBtn.addEventListener('click', () => this.deletePreset());
+        this.elements.libraryApplyBtn.addEventListener('click', () => this.applyLibrarySet());
+        this.elements.presetExportBtn.addEventListener('click', () => this.exportPresets());
+        this.elements.shareBtn.addEventListener('click', () => this.copyLink());
+        this.elements.presetFile.addEventListener('change', () => {
+            const file = this.elements.presetFile.files[0];
+            if (file) this.importPresets(file);
+        });
+    }
+
+    updateModeControls() {
+        const mode = this.elements.modeSelect.value;
+
+        document.querySelectorAll('.mode-single, .mode-crossbar, .mode-sweep, .mode-montecarlo, .mode-retention, .mode-plasticity, .mode-logic')
+            .forEach(el => el.style.display = 'none');
+
+        document.querySelectorAll('.mode-' + mode)
+            .forEach(el => el.style.display = '');
+    }
+
+    // Model options and one slider row per parameter of every registered
+    // model (a select for choice parameters); the rows carry the
+    // param-<model> class shown for that model
+    buildModelControls() {
+        const { modelSelect, modelParams } = this.elements;
+
+        Object.entries(modelRegistry).forEach(([model, { name, type }], k) => {
+            modelSelect.add(new Option(`${name} Model`, model, k === 0, k === 0));
+
+            type.parameters.filter(param => !param.hidden).forEach(param => {
+                const id = this.getParameterId(model, param);
+                const label = document.createElement('label');
+                label.textContent = param.unit ? `${param.label} (${param.unit}):` : `${param.label}:`;
+
+                const row = document.createElement('div');
+                row.className = `control-row model-param param-${model}`;
+                modelParams.appendChild(row);
+                this.modelParameters[id] = param;
+
+                // A choice changes which of the model's parameters apply
+                if (param.options) {
+                    const select = document.createElement('select');
+                    select.id = id;
+                    Object.entries(param.options).forEach(([value, text]) => {
+                        const selected = value === param.default;
+                        select.add(new Option(text, value, selected, selected));
+                    });
+                    select.addEventListener('change', () => {
+                        this.updateModelControls();
+                        this.updateFitControls();
+                        this.updateSweepControls();
+                        this.updateVariationControls();
+                    });
+                    row.append(label, select);
+                    this.elements[id] = select;
+                    return;
+                }
+
+                const input = document.createElement('input');
+                input.type = 'range';
+                input.id = id;
+                input.min = param.min;
+                input.max = param.max;
+                input.defaultValue = param.default;
+                if (param.scale === 'log') {
+                    this.setLogScale(input);
+                } else {
+                    input.step = param.step;
+                }
+
+                const field = document.createElement('input');
+                field.type = 'text';
+                field.className = 'value-display';
+                field.id = `${id}Value`;
+                field.spellcheck = false;
+
+                row.append(label, input, field);
+                this.elements[id] = input;
+            });
+        });
+    }
+
+    getParameterId(model, param) {
+        return `${model}-${param.key}`;
+    }
+
+    // Slider positions: a log-scale slider moves over the decade exponent of
+    // its value's magnitude, negated for a range below zero so that values
+    // still grow to the right
+    toPosition(input, value) {
+        if (input.dataset.scale !== 'log') return value;
+        const sign = parseFloat(input.dataset.sign);
+        return sign * Math.log10(sign * value);
+    }
+
+    fromPosition(input, position) {
+        if (input.dataset.scale !== 'log') return position;
+        const sign = parseFloat(input.dataset.sign);
+        return Number((sign * Math.pow(10, sign * position)).toPrecision(12));
+    }
+
+    // Moves a log-scale slider's range and default, given in its own units,
+    // onto its positions
+    setLogScale(input) {
+        const [min, max, value] = [input.min, input.max, input.defaultValue].map(parseFloat);
+        input.dataset.scale = 'log';
+        input.dataset.sign = Math.sign(min);
+        input.step = 'any';
+        input.min = this.toPosition(input, min);
+        input.max = this.toPosition(input, max);
+        input.defaultValue = this.toPosition(input, value);
+    }
+
+    // Value of a slider in its own units, or the option of a choice
+    readControl(input) {
+        if (input.tagName === 'SELECT') return input.value;
+        return this.fromPosition(input, parseFloat(input.value));
+    }
+
+    writeControl(input, value) {
+        if (input.tagName === 'SELECT') {
+            input.value = value;
+            return;
+        }
+        input.value = String(this.toPosition(input, value));
+    }
+
+    // Slider range in the slider's own units
+    getControlRange(input) {
+        return {
+            min: this.fromPosition(input, parseFloat(input.min)),
+            max: this.fromPosition(input, parseFloat(input.max)),
+            log: input.dataset.scale === 'log'
+        };
     }
 
     updateModelControls() {
         const m = this.elements.modelSelect.value;
 
         // Hide all model-specific parameter rows
+        document.querySelectorAll('.model-param').forEach(el => el.style.display = 'none');
+
+        // Show only those belonging to the selected model and its choices
+        modelRegistry[m].type.parameters.filter(param => !param.hidden).forEach(param => {
+            const row = this.elements[this.getParameterId(m, param)].closest('.control-row');
+            row.style.display = this.isParameterActive(m, param) ? 'flex' : 'none';
+        });
+    }
+
+    // Whether a parameter applies under the model's current choices, e.g. the
+    // exponent of the window function selected for the ion-drift model
+    isParameterActive(model, param) {
+        return Object.entries(param.when || {}).every(([key, values]) =>
+            values.includes(this.readControl(this.elements[this.getParameterId(model, { key })])));
+    }
+
+    updateSourceControls() {
+        const source = this.elements.waveformSelect.value;
+
         document.querySelectorAll(
-            '.param-linear, .param-biolek, .param-joglekar, .param-vteam, .param-mms, .param-yakopcic'
+            '.source-sine, .source-square, .source-triangle, .source-sawtooth, .source-pulse, .source-staircase, .source-pwl'
         ).forEach(el => el.style.display = 'none');
 
-        // Show only those belonging to the selected model
-        document.querySelectorAll('.param-' + m)
+        document.querySelectorAll('.source-' + source)
             .forEach(el => el.style.display = 'flex');
     }
 
-    updateAllDisplays() {
-        // Update frequency display
-        const freq = parseFloat(this.elements.frequency.value);
-        this.valueDisplays.freqValue.textContent = freq >= 1000 ? `${(freq / 1000).toFixed(0)}k` : freq.toString();
-
-        // Update amplitude display
-        this.valueDisplays.ampValue.textContent = parseFloat(this.elements.amplitude.value).toFixed(1);
-
-        // Update scientific notation displays
-        this.valueDisplays.muVValue.textContent = parseFloat(this.elements.muV.value).toExponential(0);
-        this.valueDisplays.DValue.textContent = parseFloat(this.elements.D.value).toExponential(0);
-        this.valueDisplays.timeStepValue.textContent = parseFloat(this.elements.timeStep.value).toExponential(0);
-
-        // Update resistance displays
-        const rOff = parseFloat(this.elements.rOff.value);
-        this.valueDisplays.rOnValue.textContent = this.elements.rOn.value;
-        this.valueDisplays.rOffValue.textContent = rOff >= 1000 ? `${(rOff / 1000).toFixed(0)}k` : rOff.toString();
-
-        // Update MMS model displays
-        this.valueDisplays.uOnValue.textContent = parseFloat(this.elements.uOn.value).toFixed(2);
-        this.valueDisplays.uOffValue.textContent = parseFloat(this.elements.uOff.value).toFixed(2);
-        this.valueDisplays.tauValue.textContent = parseFloat(this.elements.tau.value).toExponential(0);
-        this.valueDisplays.temperatureValue.textContent = parseFloat(this.elements.temperature.value).toFixed(1);
-
-        // Update VTEAM model displays
-        this.valueDisplays.vtKOffValue.textContent = parseFloat(this.elements.vtKOff.value).toExponential(1);
-        this.valueDisplays.vtKOnValue.textContent = parseFloat(this.elements.vtKOn.value).toFixed(1);
-        this.valueDisplays.vtAlphaOffValue.textContent = parseFloat(this.elements.vtAlphaOff.value).toFixed(1);
-        this.valueDisplays.vtAlphaOnValue.textContent = parseFloat(this.elements.vtAlphaOn.value).toFixed(1);
-        this.valueDisplays.vtWOffValue.textContent = parseFloat(this.elements.vtWOff.value).toExponential(1);
-        this.valueDisplays.vtWOnValue.textContent = parseFloat(this.elements.vtWOn.value).toExponential(1);
-        this.valueDisplays.vtAOffValue.textContent = parseFloat(this.elements.vtAOff.value).toFixed(2);
-        this.valueDisplays.vtAOnValue.textContent = parseFloat(this.elements.vtAOn.value).toFixed(2);
-        this.valueDisplays.vtWCValue.textContent = parseFloat(this.elements.vtWC.value).toFixed(2);
-        this.valueDisplays.vtUOffValue.textContent = parseFloat(this.elements.vtUOff.value).toFixed(2);
-        this.valueDisplays.vtUOnValue.textContent = parseFloat(this.elements.vtUOn.value).toFixed(2);
-
-        // Update Yakopcic model displays
-        this.valueDisplays.ycApValue.textContent = parseFloat(this.elements.ycAp.value).toFixed(0);
-        this.valueDisplays.ycAnValue.textContent = parseFloat(this.elements.ycAn.value).toFixed(0);
-        this.valueDisplays.ycUpValue.textContent = parseFloat(this.elements.ycUp.value).toFixed(2);
-        this.valueDisplays.ycUnValue.textContent = parseFloat(this.elements.ycUn.value).toFixed(2);
-        this.valueDisplays.ycAlphaPValue.textContent = parseFloat(this.elements.ycAlphaP.value).toFixed(1);
-        this.valueDisplays.ycAlphaNValue.textContent = parseFloat(this.elements.ycAlphaN.value).toFixed(1);
-        this.valueDisplays.ycXpValue.textContent = parseFloat(this.elements.ycXp.value).toFixed(2);
-        this.valueDisplays.ycXnValue.textContent = parseFloat(this.elements.ycXn.value).toFixed(2);
-        this.valueDisplays.ycA1Value.textContent = parseFloat(this.elements.ycA1.value).toFixed(2);
-        this.valueDisplays.ycA2Value.textContent = parseFloat(this.elements.ycA2.value).toFixed(2);
-        this.valueDisplays.ycBValue.textContent = parseFloat(this.elements.ycB.value).toFixed(3);
-        this.valueDisplays.ycXOnValue.textContent = parseFloat(this.elements.ycXOn.value).toFixed(2);
-
-        // Update other displays
-        this.valueDisplays.pValue.textContent = this.elements.p.value;
-        this.valueDisplays.durationValue.textContent = parseFloat(this.elements.duration.value).toFixed(1);
+    // Settings of the selected source type, with times converted to seconds
+    // overrides maps slider ids to values used instead of the slider positions
+    getSourceSpec(type, overrides = {}) {
+        const value = id => (id in overrides ? overrides[id] : this.readControl(this.elements[id]));
+
+        switch (type) {
+            case 'pulse':
+                return {
+                    pattern: parsePulsePattern(this.elements.pulsePattern.value),
+                    vSet: value('pulseVSet'),
+                    vReset: value('pulseVReset'),
+                    vRead: value('pulseVRead'),
+                    rise: value('pulseRise') * 1e-6,
+                    fall: value('pulseFall') * 1e-6,
+                    width: value('pulseWidth') * 1e-6,
+                    period: value('pulsePeriod') * 1e-6,
+                    count: value('pulseCount')
+                };
+            case 'staircase':
+                return {
+                    start: value('stairStart'),
+                    stop: value('stairStop'),
+                    step: value('stairStep'),
+                    dwell: value('stairDwell') * 1e-6,
+                    mode: this.elements.stairMode.value
+                };
+            case 'pwl':
+                this.elements.pwlError.textContent = '';
+                try {
+                    const points = parsePWL(this.elements.pwlTable.value);
+                    return { points: points.map(([time, voltage]) => [time * 1e-6, voltage]) };
+                } catch (error) {
+                    this.elements.pwlError.textContent = error.message;
+                    throw error;
+                }
+            default:
+                return {};
+        }
     }
 
-    getChartColors() {
-        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-        return {
-            gridColor: isDark ? '#334155' : '#e2e8f0',
-            zerolineColor: isDark ? '#475569' : '#cbd5e0',
-            backgroundColor: isDark ? '#1e293b' : '#ffffff',
-            textColor: isDark ? '#f1f5f9' : '#2d3748',
-            lineColor: isDark ? '#818cf8' : '#4f46e5'
-        };
+    updateMeasurementControls() {
+        document.querySelectorAll('.meas-loaded')
+            .forEach(el => el.style.display = this.measurementText ? 'flex' : 'none');
     }
 
-    initializeChart() {
-        const colors = this.getChartColors();
-        const layout = {
-            title: false,
-            xaxis: {
-                title: 'Voltage (V)',
-                gridcolor: colors.gridColor,
-                zeroline: true,
-                zerolinecolor: colors.zerolineColor,
-                color: colors.textColor
-            },
-            yaxis: {
-                title: 'Current (A)',
-                gridcolor: colors.gridColor,
-                zeroline: true,
-                zerolinecolor: colors.zerolineColor,
-                color: colors.textColor
-            },
-            plot_bgcolor: colors.backgroundColor,
-            paper_bgcolor: colors.backgroundColor,
-            font: {
-                family: 'Inter, sans-serif',
-                size: 12,
-                color: colors.textColor
-            },
-            margin: { t: 20, r: 20, b: 60, l: 80 }
-        };
+    loadMeasurementFile(file) {
+        file.text().then(text => {
+            this.measurementText = text;
+            this.populateMeasurementColumns();
+            this.updateMeasurementControls();
+            this.runSimulation();
+        });
+    }
 
-        const config = {
-            responsive: true,
-            displayModeBar: false
+    clearMeasurement() {
+        this.measurementText = null;
+        this.elements.measFile.value = '';
+        this.elements.measError.textContent = '';
+        this.updateMeasurementControls();
+        this.runSimulation();
+    }
+
+    // Fills the column selects from the file header and guesses the time,
+    // voltage and current columns from their names or positions
+    populateMeasurementColumns() {
+        const { measVColumn, measIColumn, measTColumn, measError } = this.elements;
+        let table = { header: null, columnCount: 0 };
+        measError.textContent = '';
+        try {
+            table = parseDelimited(this.measurementText, this.elements.measDelimiter.value);
+        } catch (error) {
+            measError.textContent = error.message;
+        }
+
+        const names = Array.from({ length: table.columnCount },
+            (_, k) => (table.header && table.header[k]) || `Column ${k + 1}`);
+        const guess = (pattern, fallback) => {
+            const k = names.findIndex(name => pattern.test(name));
+            return k >= 0 ? k : fallback;
         };
+        const timeColumn = guess(/^t(ime)?\b/i, table.columnCount >= 3 ? 0 : -1);
+        const first = timeColumn === 0 ? 1 : 0;
 
-        Plotly.newPlot('chart', [], layout, config);
+        const fill = (select, selected, withNone) => {
+            select.innerHTML = '';
+            if (withNone) select.add(new Option('(none)', '-1', selected < 0, selected < 0));
+            names.forEach((name, k) => select.add(new Option(name, String(k), k === selected, k === selected)));
+        };
+        fill(measVColumn, guess(/volt|^[vu]\b/i, first));
+        fill(measIColumn, guess(/curr|^i\b/i, first + 1));
+        fill(measTColumn, timeColumn, true);
     }
 
-    runSimulation() {
-        this.elements.statusText.textContent = 'Running simulation...';
+    // Measurement in SI units, or null without a file. When the measured
+    // voltage drives the simulation it also carries the waveform points.
+    getMeasurement() {
+        if (!this.measurementText) return null;
+
+        const { measError } = this.elements;
+        measError.textContent = '';
+        try {
+            const table = parseDelimited(this.measurementText, this.elements.measDelimiter.value);
+            const measurement = parseMeasurement(table, {
+                voltageColumn: parseInt(this.elements.measVColumn.value),
+                currentColumn: parseInt(this.elements.measIColumn.value),
+                timeColumn: parseInt(this.elements.measTColumn.value),
+                voltageUnit: this.elements.measVUnit.value,
+                currentUnit: this.elements.measIUnit.value,
+                timeUnit: this.elements.measTUnit.value
+            });
 
-        setTimeout(() => {
-            try {
-                // Get parameters
-                const modelType = this.elements.modelSelect.value;
-                const waveform = this.elements.waveformSelect.value;
-                const frequency = parseFloat(this.elements.frequency.value);
-                const amplitude = parseFloat(this.elements.amplitude.value);
-                const mu_v = parseFloat(this.elements.muV.value);
-                const D = parseFloat(this.elements.D.value);
-                const R_ON = parseFloat(this.elements.rOn.value);
-                const R_OFF = parseFloat(this.elements.rOff.value);
-                const U_ON = parseFloat(this.elements.uOn.value);
-                const U_OFF = parseFloat(this.elements.uOff.value);
-                const tau = parseFloat(this.elements.tau.value);
-                const temperature = parseFloat(this.elements.temperature.value);
-                const k_off = parseFloat(this.elements.vtKOff.value);
-                const k_on = parseFloat(this.elements.vtKOn.value);
-                const alpha_off = parseFloat(this.elements.vtAlphaOff.value);
-                const alpha_on = parseFloat(this.elements.vtAlphaOn.value);
-                const w_off = parseFloat(this.elements.vtWOff.value);
-                const w_on = parseFloat(this.elements.vtWOn.value);
-                const a_off = parseFloat(this.elements.vtAOff.value);
-                const a_on = parseFloat(this.elements.vtAOn.value);
-                const w_c = parseFloat(this.elements.vtWC.value);
-                const u_off = parseFloat(this.elements.vtUOff.value);
-                const u_on = parseFloat(this.elements.vtUOn.value);
-                const p = parseFloat(this.elements.p.value);
-                const A_p = parseFloat(this.elements.ycAp.value);
-                const A_n = parseFloat(this.elements.ycAn.value);
-                const U_p = parseFloat(this.elements.ycUp.value);
-                const U_n = parseFloat(this.elements.ycUn.value);
-                const alpha_p = parseFloat(this.elements.ycAlphaP.value);
-                const alpha_n = parseFloat(this.elements.ycAlphaN.value);
-                const x_p = parseFloat(this.elements.ycXp.value);
-                const x_n = parseFloat(this.elements.ycXn.value);
-                const a1 = parseFloat(this.elements.ycA1.value);
-                const a2 = parseFloat(this.elements.ycA2.value);
-                const b = parseFloat(this.elements.ycB.value);
-                const x_on = parseFloat(this.elements.ycXOn.value);
-                const duration = parseFloat(this.elements.duration.value) * 1e-6; // Convert to seconds
-                const dt = parseFloat(this.elements.timeStep.value) * 1e-6; // Convert to seconds
-
-                // Create memristor
-                let memristor;
-                switch (modelType) {
-                    case 'biolek':
-                        memristor = new BiolekMemristor(mu_v, D, R_ON, R_OFF, null, p);
-                        break;
-                    case 'joglekar':
-                        memristor = new JoglekarMemristor(mu_v, D, R_ON, R_OFF, null, p);
-                        break;
-                    case 'linear':
-                        memristor = new LinearIonDriftMemristor(mu_v, D, R_ON, R_OFF);
-                        break;
-                    case 'vteam':
-                        memristor = new VTEAMMemristor(k_off, k_on, alpha_off, alpha_on, w_off, w_on, null, a_off, a_on, w_c, u_off, u_on, R_ON, R_OFF);
-                        break;
-                    case 'mms':
-                        memristor = new MMSMemristor(R_ON, R_OFF, U_ON, U_OFF, tau, temperature);
-                        break;
-                    case 'yakopcic':
-                        memristor = new YakopcicMemristor(A_p, A_n, U_p, U_n, alpha_p, alpha_n, x_p, x_n, a1, a2, b, 0.11, x_on);
-                        break;
+            if (this.elements.measDrive.value === 'measured') {
+                if (!measurement.t) {
+                    measError.textContent = 'Select a time column to drive the simulation';
+                } else {
+                    measurement.points = measuredWaveform(measurement);
                 }
+            }
+            if (measurement.skipped > 0 && !measError.textContent) {
+                measError.textContent = `Skipped ${measurement.skipped} non-numeric rows`;
+            }
+            return measurement;
+        } catch (error) {
+            measError.textContent = error.message;
+            return null;
+        }
+    }
+
+    // Label text of a slider's row, with the unit but without the colon
+    getSliderLabel(input) {
+        return input.closest('.control-row').querySelector('label').textContent.replace(/:$/, '');
+    }
+
+    getModelSliders(model) {
+        return Array.from(document.querySelectorAll(`.param-${model} input[type="range"]`))
+            .filter(input => this.isParameterActive(model, this.modelParameters[input.id]));
+    }
+
+    // One checkbox per parameter of the selected model; checked ones are locked
+    updateFitControls() {
+        const { fitParams } = this.elements;
+        fitParams.innerHTML = '';
+
+        this.getModelSliders(this.elements.modelSelect.value).forEach(input => {
+            const name = this.getSliderLabel(input).split(' (')[0];
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.lockedParams.has(input.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.lockedParams.add(input.id);
+                else this.lockedParams.delete(input.id);
+            });
 
-                // Generate time vector
-                const numPoints = Math.floor(duration / dt);
-                const t = Array.from({ length: numPoints }, (_, i) => i * dt);
+            const label = document.createElement('label');
+            label.title = `Lock ${name}`;
+            label.append(checkbox, name);
+            fitParams.appendChild(label);
+        });
+    }
 
-                // Generate voltage sequence
-                const V_seq = generateWaveform(waveform, t, frequency, amplitude);
+    // Model checkboxes and the list of pinned parameter sets; each pin can be
+    // renamed in place, restored onto the sliders or removed
+    updateCompareControls() {
+        const { compareModels, pinnedList, modelSelect } = this.elements;
+        compareModels.innerHTML = '';
+        pinnedList.innerHTML = '';
+
+        Array.from(modelSelect.options).forEach(option => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.compareModels.has(option.value);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.compareModels.add(option.value);
+                else this.compareModels.delete(option.value);
+                this.runSimulation();
+            });
 
-                // Run simulation
-                const I_mem = simulateMemristor(memristor, V_seq, dt);
+            const label = document.createElement('label');
+            label.append(checkbox, modelRegistry[option.value].name);
+            compareModels.appendChild(label);
+        });
 
-                // Plot results
-                this.plotHysteresis(V_seq, I_mem);
+        this.pinned.forEach(pin => {
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = pin.name;
+            name.title = 'Rename';
+            name.addEventListener('change', () => {
+                pin.name = name.value.trim() || pin.name;
+                name.value = pin.name;
+                this.runSimulation();
+            });
 
-                this.elements.statusText.textContent = `Simulation complete (${numPoints} points)`;
-            } catch (error) {
-                console.error('Simulation error:', error);
-                this.elements.statusText.textContent = 'Simulation error';
-            }
-        }, 10);
+            const restore = document.createElement('button');
+            restore.className = 'btn-secondary';
+            restore.title = 'Restore these parameters';
+            restore.innerHTML = '<i class="fas fa-rotate-left"></i>';
+            restore.addEventListener('click', () => this.restorePin(pin));
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-secondary';
+            remove.title = 'Remove';
+            remove.innerHTML = '<i class="fas fa-xmark"></i>';
+            remove.addEventListener('click', () => {
+                this.pinned = this.pinned.filter(p => p !== pin);
+                this.updateCompareControls();
+                this.runSimulation();
+            });
+
+            const item = document.createElement('li');
+            item.append(name, restore, remove);
+            pinnedList.appendChild(item);
+        });
     }
 
-    plotHysteresis(V_seq, I_mem) {
-        const colors = this.getChartColors();
-        const trace = {
-            x: V_seq,
-            y: I_mem,
-            type: 'scatter',
-            mode: 'lines',
-            line: {
-                color: colors.lineColor,
-                width: 2
-            },
-            name: 'I-V Curve'
-        };
+    // Snapshot of the selected model and its control values
+    pinParameters() {
+        const model = this.elements.modelSelect.value;
+        const values = {};
+        modelRegistry[model].type.parameters.filter(param => !param.hidden).forEach(param => {
+            const id = this.getParameterId(model, param);
+            values[id] = this.readControl(this.elements[id]);
+        });
+        this.pinned.push({ name: `${modelRegistry[model].name} #${++this.pinCount}`, model, values });
+        this.updateCompareControls();
+        this.runSimulation();
+    }
 
-        const layout = {
-            title: false,
-            xaxis: {
-                title: 'Voltage (V)',
-                gridcolor: colors.gridColor,
-                zeroline: true,
-                zerolinecolor: colors.zerolineColor,
-                color: colors.textColor
-            },
-            yaxis: {
-                title: 'Current (A)',
-                gridcolor: colors.gridColor,
-                zeroline: true,
-                zerolinecolor: colors.zerolineColor,
-                color: colors.textColor
-            },
-            plot_bgcolor: colors.backgroundColor,
-            paper_bgcolor: colors.backgroundColor,
-            font: {
-                family: 'Inter, sans-serif',
-                size: 12,
-                color: colors.textColor
-            },
-            margin: { t: 20, r: 20, b: 60, l: 80 },
-            showlegend: false
-        };
+    restorePin(pin) {
+        this.stopFit();
+        this.elements.modelSelect.value = pin.model;
+        Object.entries(pin.values).forEach(([id, value]) => {
+            this.writeControl(this.elements[id], value);
+        });
+        this.updateAllDisplays();
+        this.updateModelControls();
+        this.updateFitControls();
+        this.updateSweepControls();
+        this.updateVariationControls();
+        this.runSimulation();
+    }
 
-        Plotly.newPlot('chart', [trace], layout, { responsive: true, displayModeBar: false });
+    // Curves drawn next to the main one: ticked models with the current
+    // sliders, then the pinned parameter sets
+    getComparisons() {
+        const current = this.elements.modelSelect.value;
+        const models = Array.from(this.elements.modelSelect.options)
+            .filter(option => option.value !== current && this.compareModels.has(option.value))
+            .map(option => ({ name: modelRegistry[option.value].name, model: option.value, values: {} }));
+        return models.concat(this.pinned);
     }
 
-    resetSimulation() {
+    // The sweepable sliders are those of the input signal, the circuit and the
+    // model parameters that are currently shown
+    updateSweepControls() {
+        const { sweepParam, sweepFrom } = this.elements;
+        const previous = sweepParam.value;
+        sweepParam.innerHTML = '';
+
+        Array.from(document.querySelectorAll('.sweepable input[type="range"]'))
+            .filter(input => input.closest('.control-row').style.display !== 'none')
+            .forEach(input => sweepParam.add(new Option(this.getSliderLabel(input), input.id)));
+
+        if (Array.from(sweepParam.options).some(option => option.value === previous) && sweepFrom.value !== '') {
+            sweepParam.value = previous;
+        } else {
+            this.setSweepRange();
+        }
+    }
+
+    setSweepRange() {
+        const input = this.elements[this.elements.sweepParam.value];
+        const { min, max, log } = this.getControlRange(input);
+        const { unit } = this.valueFields[input.id];
+        this.elements.sweepFrom.value = formatEntry(min, unit);
+        this.elements.sweepTo.value = formatEntry(max, unit);
+        this.elements.sweepSpacing.value = log ? 'log' : 'linear';
+    }
+
+    // Parameters that can vary from device to device are the shown sliders of
+    // the selected model; the list shows the variations set on them
+    updateVariationControls() {
+        const { mcParam, mcVariations, modelSelect } = this.elements;
+        const sliders = this.getModelSliders(modelSelect.value);
+        const previous = mcParam.value;
+        mcParam.innerHTML = '';
+        sliders.forEach(input => mcParam.add(new Option(this.getSliderLabel(input), input.id)));
+        if (sliders.some(input => input.id === previous)) mcParam.value = previous;
+
+        mcVariations.innerHTML = '';
+        this.getActiveVariations().forEach(variation => {
+            const text = document.createElement('span');
+            text.textContent = `${this.getSliderLabel(this.elements[variation.id])}: ` +
+                `${distributions[variation.distribution].name}, σ = ${variation.sigma}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-secondary';
+            remove.title = 'Remove';
+            remove.innerHTML = '<i class="fas fa-xmark"></i>';
+            remove.addEventListener('click', () => {
+                this.variations = this.variations.filter(v => v !== variation);
+                this.updateVariationControls();
+                this.runSimulation();
+            });
+
+            const item = document.createElement('li');
+            item.append(text, remove);
+            mcVariations.appendChild(item);
+        });
+    }
+
+    // Variations on parameters of other models or of unselected choices are
+    // kept but not applied
+    getActiveVariations() {
+        const active = new Set(this.getModelSliders(this.elements.modelSelect.value).map(input => input.id));
+        return this.variations.filter(variation => active.has(variation.id));
+    }
+
+    // Adds or replaces the variation of the chosen parameter
+    addVariation() {
+        const { mcParam, mcDistribution, mcSigma, mcError } = this.elements;
+        const sigma = parseFloat(mcSigma.value);
+        mcError.textContent = '';
+        if (!mcParam.value) return;
+        if (!(sigma > 0)) {
+            mcError.textContent = 'σ must be a positive number';
+            return;
+        }
+
+        this.variations = this.variations.filter(variation => variation.id !== mcParam.value);
+        this.variations.push({ id: mcParam.value, distribution: mcDistribution.value, sigma });
+        this.updateVariationControls();
+        this.runSimulation();
+    }
+
+    // Maps a slider onto [0, 1] for the optimizer, following the slider's
+    // scale: over the decade exponent for log sliders, otherwise linear and
+    // snapped to the slider step
+    getSliderScale(input) {
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        if (input.dataset.scale === 'log') {
+            return {
+                toUnit: v => (this.toPosition(input, v) - min) / (max - min),
+                toValue: u => this.fromPosition(input, min + u * (max - min))
+            };
+        }
+
+        // A slider that took a typed value off its steps has none left
+        const step = parseFloat(input.step);
+        const snap = v => Math.min(max, Math.max(min, step > 0 ? min + Math.round((v - min) / step) * step : v));
+        return {
+            toUnit: v => (v - min) / (max - min),
+            toValue: u => snap(min + u * (max - min))
+        };
+    }
+
+    startFit() {
+        const { fitStatus } = this.elements;
+        const measurement = this.getMeasurement();
+        if (!measurement) {
+            fitStatus.textContent = 'Load measured data first';
+            return;
+        }
+
+        const sliders = this.getModelSliders(this.elements.modelSelect.value)
+            .filter(input => !this.lockedParams.has(input.id));
+        if (sliders.length === 0) {
+            fitStatus.textContent = 'All parameters are locked';
+            return;
+        }
+
+        const { dt, V_seq, driven } = this.getStimulus(measurement);
+        const target = thinMeasurement(measurement, 200);
+        const options = this.getSimulationOptions();
+        const scales = sliders.map(input => this.getSliderScale(input));
+        const toOverrides = u => {
+            const overrides = {};
+            sliders.forEach((input, j) => {
+                overrides[input.id] = scales[j].toValue(u[j]);
+            });
+            return overrides;
+        };
+
+        // Cost: RMS current error normalized to the peak measured current;
+        // parameters that break the model's constraints cost Infinity. Each
+        // evaluation is a run in the fit's own worker.
+        const model = this.elements.modelSelect.value;
+        const fit = { cancelled: false };
+        const cost = async u => {
+            if (fit.cancelled) return Infinity;
+            const params = this.getModelParameters(toOverrides(u));
+            if (parameterViolations(model, params).length > 0) return Infinity;
+            const V = Float64Array.from(V_seq);
+            const response = await this.runInWorker({ runs: [{ model, params, V_seq: V, dt, options }] }, [V.buffer], null, 'fit');
+            if (!response) return Infinity;
+            return measurementError(response.traces[0], target, driven).normalized;
+        };
+
+        const optimizer = new NelderMeadOptimizer(cost, sliders.map((input, j) => scales[j].toUnit(this.readControl(input))));
+        const maxIterations = parseInt(this.elements.fitMaxIter.value);
+        this.fit = fit;
+        this.elements.fitBtn.disabled = true;
+        this.elements.fitStopBtn.disabled = false;
+
+        // The best parameters so far are shown every 100 ms and at the end
+        const progress = () => `iteration ${optimizer.iteration}/${maxIterations}, ` +
+            `cost ${(optimizer.best.f * 100).toFixed(2)}%, ${optimizer.evaluations} evaluations`;
+        const run = async () => {
+            let converged = false;
+            let shown = performance.now();
+            try {
+                while (!fit.cancelled && !converged && optimizer.iteration < maxIterations) {
+                    converged = await optimizer.iterate();
+                    if (!fit.cancelled && performance.now() - shown >= 100) {
+                        shown = performance.now();
+                        this.applyFitValues(toOverrides(optimizer.best.x));
+                        fitStatus.textContent = `Fitting: ${progress()}`;
+                    }
+                }
+            } catch (error) {
+                fitStatus.textContent = `Fit error: ${error.message}`;
+                this.finishFit(fit);
+                return;
+            }
+
+            if (optimizer.best) this.applyFitValues(toOverrides(optimizer.best.x));
+            const reason = fit.cancelled ? 'Fit stopped' : converged ? 'Fit converged' : 'Fit reached max iterations';
+            fitStatus.textContent = optimizer.best ? `${reason}: ${progress()}` : reason;
+            this.finishFit(fit);
+        };
+        run();
+    }
+
+    applyFitValues(values) {
+        Object.entries(values).forEach(([id, value]) => {
+            this.writeControl(this.elements[id], value);
+        });
+        this.updateAllDisplays();
+        this.runSimulation();
+    }
+
+    stopFit() {
+        if (!this.fit) return;
+        this.fit.cancelled = true;
+        this.cancelWorkerJob('fit');
+    }
+
+    finishFit(fit) {
+        if (this.fit !== fit) return;
+        this.fit = null;
+        this.elements.fitBtn.disabled = false;
+        this.elements.fitStopBtn.disabled = true;
+    }
+
+    updateCircuitControls() {
+        const limited = this.elements.complianceMode.value === 'on';
+        document.querySelectorAll('.compliance-on')
+            .forEach(el => el.style.display = limited ? 'flex' : 'none');
+        const heated = this.elements.thermalMode.value === 'on';
+        document.querySelectorAll('.thermal-on')
+            .forEach(el => el.style.display = heated ? 'flex' : 'none');
+    }
+
+    // The ambient temperature sets the Arrhenius relaxation even without self-heating
+    updateRelaxationControls() {
+        const mode = this.elements.relaxMode.value;
+        document.querySelectorAll('.relax-on')
+            .forEach(el => el.style.display = mode !== 'off' ? 'flex' : 'none');
+        document.querySelectorAll('.relax-arrhenius')
+            .forEach(el => el.style.display = mode === 'arrhenius' ? 'flex' : 'none');
+        const ambient = this.elements.thermalMode.value === 'on' || mode === 'arrhenius';
+        document.querySelectorAll('.ambient-temperature')
+            .forEach(el => el.style.display = ambient ? 'flex' : 'none');
+    }
+
+    updateLogicControls() {
+        const magic = this.elements.logicGate.value !== 'imply';
+        document.querySelectorAll('.logic-imply')
+            .forEach(el => el.style.display = magic ? 'none' : '');
+        document.querySelectorAll('.logic-magic')
+            .forEach(el => el.style.display = magic ? '' : 'none');
+    }
+
+    updateIntegratorControls() {
+        const adaptive = this.elements.integratorSelect.value === 'rk45';
+        document.querySelectorAll('.integrator-rk45')
+            .forEach(el => el.style.display = adaptive ? 'flex' : 'none');
+    }
+
+    // Writes every slider's value into its entry field; values typed there
+    // but not applied are dropped along with their errors
+    updateAllDisplays() {
+        // The selected crossbar cell must stay inside the array
+        ['xbRows', 'xbCols'].forEach((id, k) => {
+            const selected = this.elements[k === 0 ? 'xbSelRow' : 'xbSelCol'];
+            selected.max = this.elements[id].value;
+            if (parseInt(selected.value) > parseInt(selected.max)) selected.value = selected.max;
+        });
+
+        Object.values(this.valueFields).forEach(entry => {
+            entry.field.value = formatEntry(this.readControl(entry.input), entry.unit, entry.format);
+            this.setEntryError(entry, '');
+        });
+    }
+
+    getChartColors() {
+        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+        return {
+            gridColor: isDark ? '#334155' : '#e2e8f0',
+            zerolineColor: isDark ? '#475569' : '#cbd5e0',
+            backgroundColor: isDark ? '#1e293b' : '#ffffff',
+            textColor: isDark ? '#f1f5f9' : '#2d3748',
+            lineColor: isDark ? '#818cf8' : '#4f46e5',
+            cursorColor: isDark ? '#f472b6' : '#db2777',
+            measuredColor: isDark ? '#fbbf24' : '#d97706',
+            compareColors: isDark
+                ? ['#34d399', '#f87171', '#22d3ee', '#c084fc', '#a3e635', '#94a3b8']
+                : ['#059669', '#dc2626', '#0891b2', '#9333ea', '#65a30d', '#475569'],
+            envelopeFill: isDark ? 'rgba(129, 140, 248, 0.25)' : 'rgba(79, 70, 229, 0.2)',
+            sweepScale: [[0, '#440154'], [0.25, '#3b528b'], [0.5, '#21918c'], [0.75, '#5ec962'], [1, '#fde725']]
+        };
+    }
+
+    // Color at position t (0..1) of a Plotly-style colorscale of hex stops
+    getScaleColor(scale, t) {
+        const k = Math.max(1, scale.findIndex(([stop]) => stop >= t));
+        const [t0, c0] = scale[k - 1];
+        const [t1, c1] = scale[k];
+        const f = Math.min(1, Math.max(0, (t - t0) / (t1 - t0)));
+        const rgb = [1, 3, 5].map(i => {
+            const a = parseInt(c0.slice(i, i + 2), 16);
+            const b = parseInt(c1.slice(i, i + 2), 16);
+            return Math.round(a + (b - a) * f);
+        });
+        return `rgb(${rgb.join(', ')})`;
+    }
+
+    getAxisLayout(title, colors) {
+        return {
+            title,
+            gridcolor: colors.gridColor,
+            zeroline: true,
+            zerolinecolor: colors.zerolineColor,
+            color: colors.textColor
+        };
+    }
+
+    getBaseLayout(colors) {
+        return {
+            title: false,
+            plot_bgcolor: colors.backgroundColor,
+            paper_bgcolor: colors.backgroundColor,
+            font: {
+                family: 'Inter, sans-serif',
+                size: 12,
+                color: colors.textColor
+            },
+            margin: { t: 20, r: 20, b: 60, l: 80 }
+        };
+    }
+
+    initializeChart() {
+        const colors = this.getChartColors();
+        const layout = {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Voltage (V)', colors),
+            yaxis: this.getAxisLayout('Current (A)', colors)
+        };
+
+        const config = {
+            responsive: true,
+            displayModeBar: false
+        };
+
+        Plotly.newPlot('chart', [], layout, config);
+        Plotly.newPlot('timeChart', [], {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Time (μs)', colors)
+        }, config);
+    }
+
+    // Builds a model from its sliders, the selected one unless modelType is
+    // given; overrides maps slider ids to values used instead of the slider
+    // positions (parameter fitting, pinned comparisons, sweeps)
+    createMemristor(overrides = {}, modelType = this.elements.modelSelect.value) {
+        return createModel(modelType, this.getModelParameters(overrides, modelType));
+    }
+
+    // Shows the constraints that the selected model's parameters break below
+    // them and marks the fields involved; returns the broken constraints
+    checkModelParameters() {
+        const model = this.elements.modelSelect.value;
+        const broken = parameterViolations(model, this.getModelParameters());
+        const keys = new Set(broken.flatMap(({ keys }) => keys));
+        modelRegistry[model].type.parameters.forEach(param => {
+            const entry = this.valueFields[this.getParameterId(model, param)];
+            if (entry) entry.field.classList.toggle('invalid', keys.has(param.key));
+        });
+        this.elements.paramError.textContent = broken.map(({ message }) => message).join('; ');
+        return broken;
+    }
+
+    // Named constructor parameters from the model's controls
+    getModelParameters(overrides = {}, modelType = this.elements.modelSelect.value) {
+        const params = {};
+        modelRegistry[modelType].type.parameters.filter(param => !param.hidden).forEach(param => {
+            const id = this.getParameterId(modelType, param);
+            params[param.key] = id in overrides ? overrides[id] : this.readControl(this.elements[id]);
+        });
+        return params;
+    }
+
+    // Writes the selected model with its current parameters as a Verilog-A
+    // module or an ngspice subcircuit and offers it for download
+    exportModel(format) {
+        const model = this.elements.modelSelect.value;
+        const params = this.getModelParameters();
+        const [text, extension] = format === 'spice'
+            ? [exportSpice(model, params), 'cir']
+            : [exportVerilogA(model, params), 'va'];
+
+        this.downloadText(`${model}.${extension}`, text);
+        this.elements.statusText.textContent = `Exported ${modelRegistry[model].name} model as ${model}.${extension}`;
+    }
+
+    downloadText(filename, text, type = 'text/plain') {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Controls that make up a configuration: every slider, text field and
+    // select, except those of the Presets group itself
+    getConfigurationControls() {
+        return Object.values(this.elements).filter(el =>
+            ((el.tagName === 'INPUT' && (el.type === 'range' || el.type === 'text')) ||
+                el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') && !el.closest('.presets'));
+    }
+
+    // Complete configuration: control values (sliders in their own units),
+    // compared models, pinned parameter sets and Monte Carlo variations
+    getConfiguration() {
+        const controls = {};
+        this.getConfigurationControls().forEach(el => {
+            controls[el.id] = el.type === 'range' ? this.readControl(el) : el.value;
+        });
+        return {
+            version: 1,
+            controls,
+            compareModels: Array.from(this.compareModels),
+            pinned: this.pinned,
+            variations: this.variations
+        };
+    }
+
+    applyConfiguration(config) {
+        if (!config || typeof config.controls !== 'object') {
+            throw new Error('Not a simulator configuration');
+        }
+        this.stopFit();
+
+        // Earlier configurations held the decade exponent of these sliders
+        const controls = { ...config.controls };
+        Object.entries(LEGACY_EXPONENTS).forEach(([legacy, id]) => {
+            if (legacy in controls && !(id in controls)) controls[id] = Math.pow(10, controls[legacy]);
+        });
+
+        // Controls whose options depend on others (the swept parameter, the
+        // varied one) are set again once the dependent controls are rebuilt
+        const setControls = () => {
+            this.getConfigurationControls().forEach(el => {
+                if (!(el.id in controls)) return;
+                const value = controls[el.id];
+                if (el.type === 'range') {
+                    this.writeControl(el, value);
+                } else if (el.tagName !== 'SELECT' || Array.from(el.options).some(option => option.value === value)) {
+                    el.value = value;
+                }
+            });
+        };
+        setControls();
+        this.compareModels = new Set(config.compareModels || []);
+        this.pinned = config.pinned || [];
+        this.pinCount = this.pinned.length;
+        this.variations = config.variations || [];
+
+        this.updateModeControls();
+        this.updateModelControls();
+        this.updateSourceControls();
+        this.updateIntegratorControls();
+        this.updateCircuitControls();
+        this.updateRelaxationControls();
+        this.updateLogicControls();
+        this.updateFitControls();
+        this.updateCompareControls();
+        this.updateSweepControls();
+        this.updateVariationControls();
+        setControls();
+        this.updateAllDisplays();
+        this.runSimulation();
+    }
+
+    // Saved presets by name, kept in localStorage
+    getPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('presets')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    setPresets(presets) {
+        localStorage.setItem('presets', JSON.stringify(presets));
+        this.updatePresetControls();
+    }
+
+    updatePresetControls() {
+        const { presetSelect, librarySelect } = this.elements;
+        const previous = presetSelect.value;
+        presetSelect.innerHTML = '';
+        Object.keys(this.getPresets()).sort().forEach(name => presetSelect.add(new Option(name, name)));
+        if (Array.from(presetSelect.options).some(option => option.value === previous)) presetSelect.value = previous;
+
+        if (librarySelect.options.length === 0) {
+            parameterLibrary.forEach((set, k) => {
+                librarySelect.add(new Option(`${modelRegistry[set.model].name}: ${set.name}`, String(k)));
+            });
+        }
+    }
+
+    savePreset() {
+        const { presetName, presetSelect, presetError } = this.elements;
+        const name = presetName.value.trim();
+        presetError.textContent = '';
+        if (name === '') {
+            presetError.textContent = 'Enter a name for the preset';
+            return;
+        }
+        this.setPresets({ ...this.getPresets(), [name]: this.getConfiguration() });
+        presetSelect.value = name;
+        this.elements.statusText.textContent = `Preset "${name}" saved`;
+    }
+
+    loadPreset() {
+        const name = this.elements.presetSelect.value;
+        const preset = this.getPresets()[name];
+        if (!preset) return;
+        this.elements.presetError.textContent = '';
+        this.elements.presetName.value = name;
+        this.applyConfiguration(preset);
+    }
+
+    deletePreset() {
+        const name = this.elements.presetSelect.value;
+        const presets = this.getPresets();
+        if (!(name in presets)) return;
+        delete presets[name];
+        this.setPresets(presets);
+        this.elements.statusText.textContent = `Preset "${name}" deleted`;
+    }
+
+    // Selects the set's model and writes its parameters onto the sliders
+    applyLibrarySet() {
+        const set = parameterLibrary[parseInt(this.elements.librarySelect.value)];
+        if (!set) return;
+        this.stopFit();
+        this.elements.modelSelect.value = set.model;
+        Object.entries(set.params).forEach(([key, value]) => {
+            this.writeControl(this.elements[this.getParameterId(set.model, { key })], value);
+        });
+        this.updateAllDisplays();
+        this.updateModelControls();
+        this.updateFitControls();
+        this.updateSweepControls();
+        this.updateVariationControls();
+        this.runSimulation();
+    }
+
+    exportPresets() {
+        this.downloadText('memristor-presets.json', JSON.stringify(this.getPresets(), null, 2), 'application/json');
+    }
+
+    // Adds the presets of a JSON file exported before; presets of the same
+    // name are replaced
+    importPresets(file) {
+        const { presetError, presetFile } = this.elements;
+        presetError.textContent = '';
+        file.text().then(text => {
+            const imported = JSON.parse(text);
+            const valid = imported && typeof imported === 'object' &&
+                Object.values(imported).every(preset => preset && typeof preset.controls === 'object');
+            if (!valid) {
+                throw new Error('The file holds no presets');
+            }
+            this.setPresets({ ...this.getPresets(), ...imported });
+            this.elements.statusText.textContent = `Imported ${Object.keys(imported).length} presets`;
+        }).catch(error => {
+            presetError.textContent = error instanceof SyntaxError ? 'The file is not valid JSON' : error.message;
+        }).finally(() => {
+            presetFile.value = '';
+        });
+    }
+
+    // The address always carries the current configuration, so the page URL
+    // opens the same simulation elsewhere
+    updateLink() {
+        history.replaceState(null, '', `#config=${encodeConfiguration(this.getConfiguration())}`);
+    }
+
+    getLinkedConfiguration() {
+        const match = location.hash.match(/^#config=(.+)$/);
+        return match ? decodeConfiguration(match[1]) : null;
+    }
+
+    copyLink() {
+        this.updateLink();
+        const { statusText } = this.elements;
+        if (!navigator.clipboard) {
+            statusText.textContent = 'Copy the link from the address bar';
+            return;
+        }
+        navigator.clipboard.writeText(location.href).then(
+            () => { statusText.textContent = 'Link copied to the clipboard'; },
+            () => { statusText.textContent = 'Copy the link from the address bar'; }
+        );
+    }
+
+    getSimulationOptions(overrides = {}) {
+        const value = id => (id in overrides ? overrides[id] : this.readControl(this.elements[id]));
+        const limited = this.elements.complianceMode.value === 'on';
+        const relaxation = this.elements.relaxMode.value;
+        return {
+            method: this.elements.integratorSelect.value,
+            rtol: value('rtol'),
+            atol: value('atol'),
+            seriesResistance: value('seriesR'),
+            compliance: limited ? value('compliance') * 1e-3 : Infinity,
+            thermal: this.elements.thermalMode.value === 'on' ? {
+                R_th: value('thermalR'),
+                C_th: value('thermalC'),
+                T_amb: value('ambientT')
+            } : null,
+            relaxation: relaxation === 'off' ? null : {
+                tau: value('relaxTau'),
+                rest: value('relaxRest'),
+                Ea: relaxation === 'arrhenius' ? value('relaxEa') : 0,
+                T: value('ambientT')
+            }
+        };
+    }
+
+    // Time step and applied voltage sequence, taken from the measured waveform
+    // when it drives the simulation
+    getStimulus(measurement, overrides = {}) {
+        const value = id => (id in overrides ? overrides[id] : this.readControl(this.elements[id]));
+        const waveform = this.elements.waveformSelect.value;
+        const frequency = value('frequency');
+        const amplitude = value('amplitude');
+        const duration = value('duration') * 1e-6; // Convert to seconds
+        const dt = value('timeStep') * 1e-6; // Convert to seconds
+        const driven = measurement !== null && measurement.points !== undefined;
+
+        // Generate time vector
+        const span = driven ? measurement.points[measurement.points.length - 1][0] : duration;
+        const numPoints = Math.floor(span / dt);
+        const t = Array.from({ length: numPoints }, (_, i) => i * dt);
+
+        // Generate voltage sequence
+        const V_seq = driven
+            ? generatePWL(t, measurement.points)
+            : generateWaveform(waveform, t, frequency, amplitude, this.getSourceSpec(waveform, overrides));
+
+        return { dt, V_seq, driven };
+    }
+
+    // Input events arriving in a burst (a dragged slider) coalesce into one
+    // run, and starting a run cancels the one still in the worker
+    runSimulation() {
+        this.elements.statusText.textContent = 'Running simulation...';
+        this.updateLink();
+
+        clearTimeout(this.simulationTimer);
+        this.simulationTimer = setTimeout(async () => {
+            this.cancelWorkerJob();
+            try {
+                if (this.checkModelParameters().length > 0) {
+                    this.elements.statusText.textContent = 'Invalid model parameters';
+                    return;
+                }
+                switch (this.elements.modeSelect.value) {
+                    case 'crossbar':
+                        await this.runCrossbar();
+                        break;
+                    case 'sweep':
+                        await this.runSweep();
+                        break;
+                    case 'montecarlo':
+                        await this.runMonteCarlo();
+                        break;
+                    case 'retention':
+                        await this.runRetention();
+                        break;
+                    case 'plasticity':
+                        await this.runPlasticity();
+                        break;
+                    case 'logic':
+                        await this.runLogic();
+                        break;
+                    default:
+                        await this.runSingleDevice();
+                }
+            } catch (error) {
+                console.error('Simulation error:', error);
+                this.elements.statusText.textContent = `Simulation error: ${error.message}`;
+            }
+        }, 10);
+    }
+
+    // Sends a request to a simulation worker (worker.js). Resolves with its
+    // result, or with null once a later request on the same channel has
+    // cancelled it; onProgress receives the worker's progress messages and the
+    // status bar shows the share of samples done. Each channel has a worker of
+    // its own, so a fit's cost evaluations ('fit') and the runs that show its
+    // progress ('simulation') do not cancel each other.
+    runInWorker(request, transfer, onProgress = null, channel = 'simulation') {
+        this.cancelWorkerJob(channel);
+        if (!this.workers[channel]) {
+            this.workers[channel] = new Worker(new URL('worker.js', import.meta.url), { type: 'module' });
+        }
+
+        const worker = this.workers[channel];
+        const id = ++this.jobCount;
+        return new Promise((resolve, reject) => {
+            this.jobs[channel] = { id, resolve };
+            worker.onmessage = ({ data }) => {
+                if (data.id !== id) return;
+                if (data.type === 'progress') {
+                    if (channel === 'simulation') {
+                        this.elements.statusText.textContent = `Running simulation... ${Math.floor(100 * data.done / data.total)}%`;
+                    }
+                    if (onProgress) onProgress(data);
+                    return;
+                }
+                this.jobs[channel] = null;
+                if (data.type === 'error') {
+                    reject(new Error(data.message));
+                } else {
+                    resolve(data);
+                }
+            };
+            worker.onerror = event => {
+                event.preventDefault();
+                this.jobs[channel] = null;
+                worker.terminate();
+                this.workers[channel] = null;
+                reject(new Error(event.message || 'The simulation worker failed to start'));
+            };
+            worker.postMessage({ id, ...request }, transfer);
+        });
+    }
+
+    // A worker busy with a superseded request is replaced rather than waited for
+    cancelWorkerJob(channel = 'simulation') {
+        const job = this.jobs[channel];
+        if (!job) return;
+        this.workers[channel].terminate();
+        this.workers[channel] = null;
+        job.resolve(null);
+        this.jobs[channel] = null;
+    }
+
+    async runSingleDevice() {
+        // Measured data, optionally driving the simulation
+        const measurement = this.getMeasurement();
+        const { dt, V_seq, driven } = this.getStimulus(measurement);
+
+        // Compared models and pinned parameter sets see the same stimulus
+        const options = this.getSimulationOptions();
+        const compared = this.getComparisons();
+        const V = Float64Array.from(V_seq);
+        const runs = [
+            { model: this.elements.modelSelect.value, params: this.getModelParameters() },
+            ...compared.map(c => ({ model: c.model, params: this.getModelParameters(c.values, c.model) }))
+        ].map(run => ({ ...run, V_seq: V, dt, options }));
+
+        // The device's trajectory is drawn as it arrives
+        const live = {};
+        ['t', 'Vd', 'I', 'state', 'M'].forEach(key => { live[key] = new Float64Array(V_seq.length); });
+        const result = await this.runInWorker({ runs }, [V.buffer], ({ partial }) => {
+            if (!partial) return;
+            const count = partial.from + partial.t.length;
+            const trace = { V: V_seq.slice(0, count) };
+            Object.keys(live).forEach(key => {
+                live[key].set(partial[key], partial.from);
+                trace[key] = live[key].subarray(0, count);
+            });
+            this.plotHysteresis(trace);
+            this.plotTimeDomain(trace);
+        });
+        if (!result) return;
+
+        const [trace, ...others] = result.traces;
+        this.trace = trace;
+        const comparisons = compared.map((c, k) => ({ name: c.name, trace: others[k] }));
+
+        // Plot results
+        this.plotHysteresis(trace, measurement, comparisons);
+        this.plotTimeDomain(trace, driven ? measurement : null, comparisons);
+        this.linkCharts();
+        this.renderMetrics(hysteresisMetrics(trace, parseFloat(this.elements.metricsVRead.value)));
+        this.elements.fingerprintResults.replaceChildren();
+        const power = powerTrace(trace);
+        const events = switchingEvents(trace, {
+            low: parseFloat(this.elements.eventLow.value) / 100,
+            high: parseFloat(this.elements.eventHigh.value) / 100
+        }, power);
+        this.plotPower(trace, power, events);
+        this.renderEvents(trace, power, events);
+        this.plotRouteMap(trace);
+
+        let status = `Simulation complete (${V_seq.length} points, ${this.formatStepStats(trace.stats)})`;
+        if (comparisons.length > 0) {
+            status += ` · ${comparisons.length + 1} curves compared`;
+        }
+        if (measurement) {
+            // The same thinned comparison as the fit's cost, to keep it cheap
+            const error = measurementError(trace, thinMeasurement(measurement, 200), driven);
+            status += ` · RMS error ${error.rms.toExponential(2)} A (${(error.normalized * 100).toFixed(1)}% of peak)`;
+        }
+        status += ` · ${events.length} switching event${events.length === 1 ? '' : 's'}, ` +
+            `${formatEngineering(power.energy[power.energy.length - 1], 'J')} in the device`;
+        if (trace.stats.limited > 0) {
+            status += ` · compliance reached on ${trace.stats.limited} samples`;
+        }
+        if (trace.T) {
+            status += ` · peak temperature ${trace.T.reduce((a, b) => Math.max(a, b)).toFixed(1)} K`;
+        }
+        this.elements.statusText.textContent = status;
+    }
+
+    // One row per switching event and a total over the whole run
+    renderEvents(trace, { power, energy }, events) {
+        const last = trace.t.length - 1;
+        const peak = power.reduce((a, p) => Math.max(a, Math.abs(p)), 0);
+        this.renderTable(this.elements.eventResults, ['Event', 'Type', 'Start', 'Duration', 'Energy', 'Peak power'], [
+            ...events.map((event, k) => [
+                String(k + 1),
+                event.type,
+                formatEngineering(event.time, 's'),
+                formatEngineering(event.duration, 's'),
+                formatEngineering(event.energy, 'J'),
+                formatEngineering(event.peakPower, 'W')
+            ]),
+            ['Whole run', '—', formatEngineering(trace.t[0], 's'), formatEngineering(trace.t[last] - trace.t[0], 's'),
+                formatEngineering(energy[last], 'J'), formatEngineering(peak, 'W')]
+        ]);
+    }
+
+    // Device power over time with every switching event shaded (SET and
+    // RESET in two colors), and the energy taken up since the start
+    plotPower(trace, { power, energy }, events) {
+        const colors = this.getChartColors();
+        const config = { responsive: true, displayModeBar: false };
+        const fill = { SET: colors.compareColors[0], RESET: colors.compareColors[1] };
+        const line = (y, name) => ({
+            x: trace.t,
+            y,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: colors.lineColor, width: 2 },
+            name
+        });
+
+        Plotly.newPlot('powerChart', [line(power, 'P = V·I')], {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Time (s)', colors),
+            yaxis: this.getAxisLayout('Power (W)', colors),
+            shapes: events.map(event => ({
+                type: 'rect',
+                x0: event.time,
+                x1: event.time + event.duration,
+                y0: 0,
+                y1: 1,
+                yref: 'paper',
+                fillcolor: fill[event.type],
+                opacity: 0.25,
+                line: { width: 0 },
+                layer: 'below'
+            })),
+            showlegend: false
+        }, config);
+
+        Plotly.newPlot('energyChart', [line(energy, 'Energy'), ...['SET', 'RESET'].map(type => {
+            const matching = events.filter(event => event.type === type);
+            return {
+                x: matching.map(event => trace.t[event.end]),
+                y: matching.map(event => energy[event.end]),
+                type: 'scatter',
+                mode: 'markers',
+                marker: { color: fill[type], size: 8 },
+                name: `${type} end`
+            };
+        })], {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Time (s)', colors),
+            yaxis: this.getAxisLayout('Energy (J)', colors),
+            legend: { orientation: 'h', y: 1.1 }
+        }, config);
+    }
+
+    // dx/dt of the current model on a voltage × normalized state grid, colored
+    // on a signed log scale down to a millionth of its peak, with the cells
+    // that do not move shaded, the switching threshold curves, the model's
+    // declared thresholds and the trajectory of the last run on top; beside
+    // it, dx/dt against the state at fixed voltages (dynamic route map)
+    plotRouteMap(trace) {
+        const colors = this.getChartColors();
+        const config = { responsive: true, displayModeBar: false };
+        const V_max = parseFloat(this.elements.routeVmax.value);
+        const curves = parseInt(this.elements.routeCurves.value);
+        const model = this.elements.modelSelect.value;
+        const createDevice = () => this.createMemristor();
+        // Cell-centred voltages: every state is at rest at exactly 0 V
+        const voltages = Array.from({ length: 80 }, (_, k) => -V_max + 2 * V_max * (k + 0.5) / 80);
+        const states = Array.from({ length: 61 }, (_, k) => k / 60);
+
+        const rate = stateDerivativeMap(createDevice, voltages, states);
+        const peak = Math.max(...rate.map(row => Math.max(...row.map(Math.abs))));
+        const floor = peak > 0 ? peak * 1e-6 : 1;
+        const signedLog = r => (r === 0 ? 0 : Math.sign(r) * Math.max(0, Math.log10(Math.abs(r) / floor)));
+        const ticks = [-6, -4, -2, 0, 2, 4, 6];
+        const { positive, negative } = thresholdCurves(createDevice, states, V_max);
+        const declared = modelThresholds(model, this.getModelParameters());
+        const thresholdLine = (x, name) => ({
+            x,
+            y: states,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: colors.textColor, width: 2 },
+            name,
+            showlegend: name === 'Threshold'
+        });
+
+        Plotly.newPlot('routeMapChart', [{
+            x: voltages,
+            y: states,
+            z: rate.map(row => row.map(signedLog)),
+            customdata: rate,
+            type: 'heatmap',
+            colorscale: 'RdBu',
+            reversescale: true,
+            zmin: -6,
+            zmax: 6,
+            colorbar: {
+                title: 'dx/dt (1/s)',
+                titleside: 'right',
+                tickvals: ticks,
+                ticktext: ticks.map(v => (v === 0 ? '0' : `${v < 0 ? '−' : ''}${(floor * Math.pow(10, Math.abs(v))).toExponential(0)}`))
+            },
+            hovertemplate: 'V = %{x:.3f} V<br>x = %{y:.3f}<br>dx/dt = %{customdata:.3e} 1/s<extra></extra>',
+            name: 'dx/dt'
+        }, {
+            x: voltages,
+            y: states,
+            z: rate.map(row => row.map(r => (r === 0 ? 1 : null))),
+            type: 'heatmap',
+            colorscale: [[0, colors.zerolineColor], [1, colors.zerolineColor]],
+            opacity: 0.6,
+            showscale: false,
+            hoverinfo: 'skip',
+            name: 'Dead zone'
+        },
+        thresholdLine(positive, 'Threshold'),
+        thresholdLine(negative, 'Threshold (negative)'),
+        {
+            x: trace.Vd,
+            y: trace.state,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: colors.cursorColor, width: 2 },
+            name: 'Trajectory'
+        }], {
+            ...this.getBaseLayout(colors),
+            xaxis: { ...this.getAxisLayout('Device voltage (V)', colors), range: [-V_max, V_max], zeroline: false },
+            yaxis: { ...this.getAxisLayout('Normalized state x', colors), range: [0, 1], zeroline: false },
+            shapes: [
+                ...declared.voltages.map(([, V]) => ({
+                    type: 'line', x0: V, x1: V, y0: 0, y1: 1, yref: 'paper',
+                    line: { color: colors.measuredColor, width: 1.5, dash: 'dash' }
+                })),
+                ...declared.states.map(([, x]) => ({
+                    type: 'line', x0: 0, x1: 1, xref: 'paper', y0: x, y1: x,
+                    line: { color: colors.measuredColor, width: 1.5, dash: 'dash' }
+                }))
+            ],
+            annotations: [
+                ...declared.voltages.map(([label, V]) => ({ x: V, y: 1, yref: 'paper', yanchor: 'bottom', text: label, showarrow: false })),
+                ...declared.states.map(([label, x]) => ({ x: 1, xref: 'paper', xanchor: 'right', y: x, text: label, showarrow: false }))
+            ],
+            legend: { orientation: 'h', y: 1.12 }
+        }, config);
+
+        const fixedVoltages = Array.from({ length: curves }, (_, k) => V_max * (k + 1) / curves);
+        const routeVoltages = [...fixedVoltages.map(V => -V).reverse(), ...fixedVoltages];
+        const routes = stateDerivativeMap(createDevice, routeVoltages, states);
+        Plotly.newPlot('routeCurveChart', routeVoltages.map((V, k) => ({
+            x: states,
+            y: routes.map(row => row[k]),
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: this.getScaleColor(colors.sweepScale, (V + V_max) / (2 * V_max)), width: 2 },
+            name: `${V.toFixed(2)} V`
+        })), {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Normalized state x', colors),
+            yaxis: this.getAxisLayout('dx/dt (1/s)', colors)
+        }, config);
+    }
+
+    renderMetrics(metrics) {
+        const value = (x, unit) => (x === null ? '—' : formatEngineering(x, unit));
+        const vRead = parseFloat(this.elements.metricsVRead.value).toFixed(2);
+        const pinched = metrics.pinchCurrent === null
+            ? '— (voltage never crosses 0 V)'
+            : `${metrics.pinched ? 'Yes' : 'No'} (|I| = ${formatEngineering(metrics.pinchCurrent, 'A')} at 0 V)`;
+
+        this.renderTable(this.elements.metricsResults, ['Metric', 'Value'], [
+            ...['I', 'II', 'III', 'IV'].map((q, k) => [`Lobe area, quadrant ${q}`, formatEngineering(metrics.lobeAreas[k], 'V·A')]),
+            ['Pinched at origin', pinched],
+            [`HRS at ${vRead} V`, value(metrics.hrs, 'Ω')],
+            [`LRS at ${vRead} V`, value(metrics.lrs, 'Ω')],
+            ['HRS/LRS ratio', metrics.ratio === null ? '—' : metrics.ratio.toFixed(2)],
+            ['SET threshold', value(metrics.setThreshold, 'V')],
+            ['RESET threshold', value(metrics.resetThreshold, 'V')],
+            ['SET switching time (10–90%)', value(metrics.setTime, 's')],
+            ['RESET switching time (10–90%)', value(metrics.resetTime, 's')]
+        ]);
+    }
+
+    // Loop area of one sine period of the current model, each period from a
+    // fresh device, at the frequency control and five octaves above it
+    // Runs in the worker like the other modes, so a changed control cancels it
+    async checkFingerprint() {
+        const { fingerprintError } = this.elements;
+        fingerprintError.textContent = '';
+        this.elements.statusText.textContent = 'Running frequency check...';
+        const frequency = this.readControl(this.elements.frequency);
+        const amplitude = this.readControl(this.elements.amplitude);
+        let response;
+        try {
+            response = await this.runInWorker({
+                fingerprint: {
+                    model: this.elements.modelSelect.value,
+                    params: this.getModelParameters(),
+                    amplitude,
+                    frequencies: [1, 2, 4, 8, 16, 32].map(k => k * frequency),
+                    options: this.getSimulationOptions()
+                }
+            }, []);
+        } catch (error) {
+            fingerprintError.textContent = error.message;
+            this.elements.statusText.textContent = 'Frequency check error';
+            return;
+        }
+        if (!response) return;
+
+        const result = response.fingerprint;
+        this.renderTable(this.elements.fingerprintResults, ['Frequency', 'Loop area (one sine period)'], [
+            ...result.frequencies.map((f, k) => [formatEngineering(f, 'Hz'), formatEngineering(result.areas[k], 'V·A')]),
+            ['Lobe area shrinks with frequency', result.shrinking ? 'Yes' : 'No']
+        ]);
+        this.elements.statusText.textContent = `Frequency check complete (${amplitude.toFixed(1)} V sine)`;
+    }
+
+    // Reads the selected cell, writes it with the chosen scheme and reads it
+    // again; every cell is an independent instance of the selected model
+    async runCrossbar() {
+        const { xbSeed, xbError } = this.elements;
+        const seed = Number(xbSeed.value);
+        xbError.textContent = '';
+        if (xbSeed.value.trim() === '' || !Number.isInteger(seed) || seed < 0) {
+            xbError.textContent = 'Seed must be a whole number';
+            throw new Error(xbError.textContent);
+        }
+
+        const value = id => this.readControl(this.elements[id]);
+        const rows = value('xbRows');
+        const cols = value('xbCols');
+        const row = value('xbSelRow') - 1;
+        const col = value('xbSelCol') - 1;
+        const response = await this.runInWorker({
+            crossbar: {
+                model: this.elements.modelSelect.value,
+                params: this.getModelParameters(),
+                rows,
+                cols,
+                wireResistance: value('xbWireR'),
+                pattern: this.elements.xbPattern.value,
+                seed,
+                row,
+                col,
+                read: { V: value('xbVRead'), scheme: this.elements.xbReadScheme.value },
+                write: {
+                    V: value('xbVWrite'),
+                    scheme: this.elements.xbWriteScheme.value,
+                    width: value('xbWidth') * 1e-6,
+                    dt: value('timeStep') * 1e-6,
+                    maxSteps: 200
+                }
+            }
+        }, []);
+        if (!response) return;
+
+        const { before, write, after } = response.crossbar;
+        this.plotHeatmap('crossbarStateChart', write.after, 'Normalized state', [row, col], [0, 1]);
+        this.plotHeatmap('crossbarVoltageChart', write.cellV, 'Cell voltage (V)', [row, col]);
+
+        const readRow = (label, key, unit) => [label, formatEngineering(before[key], unit), formatEngineering(after[key], unit)];
+        this.renderTable(this.elements.crossbarResults, ['Read', 'Before write', 'After write'], [
+            readRow('Sensed column current', 'senseCurrent', 'A'),
+            readRow('Selected cell current', 'cellCurrent', 'A'),
+            readRow('Sneak-path current', 'sneakCurrent', 'A'),
+            ['Read margin', `${(before.margin * 100).toFixed(1)}%`, `${(after.margin * 100).toFixed(1)}%`],
+            ['Selected cell Δstate', write.selectedChange.toFixed(4), ''],
+            ['Half-selected disturb (max |Δstate|)', write.halfSelectedDisturb.toFixed(4), ''],
+            ['Unselected disturb (max |Δstate|)', write.unselectedDisturb.toFixed(4), '']
+        ]);
+
+        this.elements.statusText.textContent = `Crossbar simulation complete (${rows}×${cols}, write pulse ${write.steps} steps)`;
+    }
+
+    // Simulates the selected model once per value of the swept control, with
+    // every other setting taken from the controls
+    async runSweep() {
+        const { sweepParam, sweepError } = this.elements;
+        const input = this.elements[sweepParam.value];
+        const log = this.elements.sweepSpacing.value === 'log';
+        const metric = sweepMetrics[this.elements.sweepMetric.value];
+
+        sweepError.textContent = '';
+        let values;
+        try {
+            const { unit } = this.valueFields[input.id];
+            const from = parseEngineering(this.elements.sweepFrom.value, unit);
+            const to = parseEngineering(this.elements.sweepTo.value, unit);
+            if (!Number.isFinite(from) || !Number.isFinite(to)) {
+                throw new Error('From and To must be numbers');
+            }
+            values = sweepValues(from, to, parseInt(this.elements.sweepCount.value), log);
+        } catch (error) {
+            sweepError.textContent = error.message;
+            throw error;
+        }
+
+        // Counts and other whole-step controls take integer values
+        if (parseFloat(input.step) >= 1) values = values.map(Math.round);
+
+        // Every swept value has to keep the model within its constraints
+        const model = this.elements.modelSelect.value;
+        const { unit } = this.valueFields[input.id];
+        for (const value of values) {
+            const broken = parameterViolations(model, this.getModelParameters({ [input.id]: value }));
+            if (broken.length > 0) {
+                const message = `At ${formatEntry(value, unit)}: ${broken.map(({ message }) => message).join('; ')}`;
+                sweepError.textContent = message;
+                throw new Error(message);
+            }
+        }
+
+        const runs = values.map(value => {
+            const overrides = { [input.id]: value };
+            const { dt, V_seq } = this.getStimulus(null, overrides);
+            return {
+                model,
+                params: this.getModelParameters(overrides),
+                V_seq: Float64Array.from(V_seq),
+                dt,
+                options: this.getSimulationOptions(overrides)
+            };
+        });
+        const result = await this.runInWorker({ runs }, runs.map(run => run.V_seq.buffer));
+        if (!result) return;
+        const curves = result.traces.map((trace, k) => ({ value: values[k], trace, metric: metric.compute(trace) }));
+
+        const label = this.getSliderLabel(input);
+        this.plotSweep(curves, label, log, metric);
+        this.elements.statusText.textContent = `Sweep complete (${curves.length} curves of ${label}, ${this.formatStepStats(curves[0].trace.stats)} each)`;
+    }
+
+    async runMonteCarlo() {
+        const { mcSeed, mcError } = this.elements;
+        const seed = Number(mcSeed.value);
+        mcError.textContent = '';
+        if (mcSeed.value.trim() === '' || !Number.isInteger(seed) || seed < 0) {
+            mcError.textContent = 'Seed must be a whole number';
+            throw new Error(mcError.textContent);
+        }
+
+        // Each run draws the varied parameters around their slider values
+        const model = this.elements.modelSelect.value;
+        const variations = this.getActiveVariations();
+        const { parameters } = modelRegistry[model].type;
+        const { dt, V_seq } = this.getStimulus(null);
+        const V = Float64Array.from(V_seq);
+        const runs = parseInt(this.elements.mcRuns.value);
+        const response = await this.runInWorker({
+            monteCarlo: {
+                model,
+                params: this.getModelParameters(),
+                variations: variations.map(({ id, distribution, sigma }) => ({
+                    key: parameters.find(param => this.getParameterId(model, param) === id).key,
+                    distribution,
+                    sigma
+                })),
+                V_seq: V,
+                dt,
+                options: this.getSimulationOptions(),
+                settings: {
+                    runs,
+                    seed,
+                    stateNoise: parseFloat(this.elements.mcStateNoise.value),
+                    readNoise: parseFloat(this.elements.mcReadNoise.value),
+                    readVoltage: parseFloat(this.elements.metricsVRead.value)
+                }
+            }
+        }, [V.buffer]);
+        if (!response) return;
+        const result = response.monteCarlo;
+
+        this.plotMonteCarlo(result, this.elements.mcDisplay.value);
+        this.renderMonteCarloStatistics(result.metrics);
+        let status = `Monte Carlo complete (${runs} runs, seed ${seed}, ` +
+            `parameters varied: ${variations.length}, ${this.formatStepStats(result.traces[0].stats)} each)`;
+        if (result.rejected > 0) {
+            status += ` · ${result.rejected} parameter draw${result.rejected === 1 ? '' : 's'} broke the model's constraints and ${result.rejected === 1 ? 'was' : 'were'} drawn again`;
+        }
+        this.elements.statusText.textContent = status;
+    }
+
+    async runRetention() {
+        const { retError } = this.elements;
+        const value = id => this.readControl(this.elements[id]);
+        const settings = {
+            programVoltage: value('retProgramV'),
+            programWidth: value('retProgramWidth') * 1e-6,
+            readVoltage: value('retReadV'),
+            readWidth: value('retReadWidth') * 1e-6,
+            start: value('retStart'),
+            stop: value('retStop'),
+            reads: parseInt(this.elements.retReads.value),
+            dt: value('timeStep') * 1e-6
+        };
+
+        retError.textContent = '';
+        let response;
+        try {
+            response = await this.runInWorker({
+                retention: {
+                    model: this.elements.modelSelect.value,
+                    params: this.getModelParameters(),
+                    settings,
+                    options: this.getSimulationOptions()
+                }
+            }, []);
+        } catch (error) {
+            retError.textContent = error.message;
+            throw error;
+        }
+        if (!response) return;
+
+        const result = response.retention;
+        this.plotRetention(result);
+        this.renderRetention(result);
+        this.elements.statusText.textContent = `Retention complete (${settings.reads} reads from ` +
+            `${formatEngineering(settings.start, 's')} to ${formatEngineering(settings.stop, 's')})`;
+    }
+
+    renderRetention(result) {
+        const last = result.t.length - 1;
+        const largest = result.drift.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a));
+        this.renderTable(this.elements.retentionResults, ['Quantity', 'Value'], [
+            ['State after programming', result.programmed.toFixed(4)],
+            [`State at ${formatEngineering(result.t[last], 's')}`, result.state[last].toFixed(4)],
+            ['Undisturbed state at the last read', result.referenceState[last].toFixed(4)],
+            ['Read resistance at the first read', formatEngineering(result.resistance[0], 'Ω')],
+            ['Read resistance at the last read', formatEngineering(result.resistance[last], 'Ω')],
+            ['Read-disturb drift at the last read', result.drift[last].toExponential(2)],
+            ['Largest read-disturb drift', largest.toExponential(2)]
+        ]);
+    }
+
+    // State with and without read pulses and their difference over a log time
+    // axis, and the read resistance of both devices
+    plotRetention(result) {
+        const colors = this.getChartColors();
+        const config = { responsive: true, displayModeBar: false };
+        const line = (y, color, name, dash = 'solid', yaxis = 'y') => ({
+            x: result.t, y, yaxis, type: 'scatter', mode: 'lines+markers',
+            line: { color, width: 2, dash }, marker: { color, size: 4 }, name
+        });
+        const logTime = { ...this.getAxisLayout('Time after programming (s)', colors), type: 'log' };
+
+        Plotly.newPlot('retentionStateChart', [
+            line(result.state, colors.lineColor, 'Read'),
+            line(result.referenceState, colors.compareColors[0], 'Undisturbed', 'dot'),
+            line(result.drift, colors.compareColors[1], 'Drift', 'solid', 'y2')
+        ], {
+            ...this.getBaseLayout(colors),
+            grid: { rows: 2, columns: 1, pattern: 'coupled' },
+            xaxis: logTime,
+            yaxis: this.getAxisLayout('Normalized state', colors),
+            yaxis2: this.getAxisLayout('Read-disturb drift', colors),
+            legend: { orientation: 'h', y: 1.1 }
+        }, config);
+
+        Plotly.newPlot('retentionResistanceChart', [
+            line(result.resistance, colors.lineColor, 'Read'),
+            line(result.referenceResistance, colors.compareColors[0], 'Undisturbed', 'dot')
+        ], {
+            ...this.getBaseLayout(colors),
+            xaxis: logTime,
+            yaxis: { ...this.getAxisLayout('Read resistance (Ω)', colors), type: 'log' },
+            legend: { orientation: 'h', y: 1.1 }
+        }, config);
+    }
+
+    async runPlasticity() {
+        const { plasError } = this.elements;
+        const value = id => this.readControl(this.elements[id]);
+        const spike = who => ({
+            shape: this.elements[`stdp${who}Shape`].value,
+            amplitude: value(`stdp${who}Amp`),
+            width: value(`stdp${who}Width`) * 1e-6
+        });
+        const dt = value('timeStep') * 1e-6;
+        const cycle = {
+            pulses: parseInt(this.elements.plasPulses.value),
+            potentiationVoltage: value('plasVp'),
+            depressionVoltage: value('plasVd'),
+            width: value('plasWidth') * 1e-6,
+            gap: value('plasGap') * 1e-6,
+            resolution: value('plasResolution') / 100,
+            dt
+        };
+        const stdp = {
+            pre: spike('Pre'),
+            post: spike('Post'),
+            range: value('stdpRange') * 1e-6,
+            points: parseInt(this.elements.stdpPoints.value),
+            dt
+        };
+
+        plasError.textContent = '';
+        let response;
+        try {
+            response = await this.runInWorker({
+                plasticity: {
+                    model: this.elements.modelSelect.value,
+                    params: this.getModelParameters(),
+                    cycle,
+                    stdp,
+                    options: this.getSimulationOptions()
+                }
+            }, []);
+        } catch (error) {
+            plasError.textContent = error.message;
+            throw error;
+        }
+        if (!response) return;
+
+        const result = response.plasticity;
+        this.plotPlasticity(result);
+        this.renderPlasticity(result.cycle);
+        this.elements.statusText.textContent = `Plasticity complete (${cycle.pulses} + ${cycle.pulses} pulses, ` +
+            `STDP at ${stdp.points} spike timings)`;
+    }
+
+    renderPlasticity(cycle) {
+        const branch = (label, { change, nonlinearity, levels }) => [
+            [`${label}: conductance change`, formatEngineering(change, 'S')],
+            [`${label}: nonlinearity`, nonlinearity === null ? '—' : nonlinearity.toFixed(3)],
+            [`${label}: distinguishable levels`, String(levels)]
+        ];
+        this.renderTable(this.elements.plasticityResults, ['Quantity', 'Value'], [
+            ['G_min', formatEngineering(cycle.G_min, 'S')],
+            ['G_max', formatEngineering(cycle.G_max, 'S')],
+            ['Dynamic range G_max/G_min', cycle.dynamicRange.toFixed(2)],
+            ...branch('Potentiation', cycle.potentiation),
+            ...branch('Depression', cycle.depression)
+        ]);
+    }
+
+    // Conductance against pulse number, the potentiation branch and the
+    // depression branch in two colors, and ΔG/G against spike timing
+    plotPlasticity({ cycle, stdp }) {
+        const colors = this.getChartColors();
+        const config = { responsive: true, displayModeBar: false };
+        const pulses = (cycle.pulse.length - 1) / 2;
+        const branch = (from, to, color, name) => ({
+            x: cycle.pulse.slice(from, to),
+            y: cycle.conductance.slice(from, to),
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color, width: 2 },
+            marker: { color, size: 4 },
+            name
+        });
+
+        Plotly.newPlot('plasticityChart', [
+            branch(0, pulses + 1, colors.lineColor, 'Potentiation'),
+            branch(pulses, cycle.pulse.length, colors.compareColors[0], 'Depression')
+        ], {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Pulse number', colors),
+            yaxis: this.getAxisLayout('Conductance W (S)', colors),
+            legend: { orientation: 'h', y: 1.1 }
+        }, config);
+
+        Plotly.newPlot('stdpChart', [{
+            x: stdp.delays.map(t => t * 1e6),
+            y: stdp.change.map(c => c * 100),
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: colors.lineColor, width: 2 },
+            marker: { color: colors.lineColor, size: 4 },
+            name: 'ΔG/G'
+        }], {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Δt = t_post − t_pre (μs)', colors),
+            yaxis: this.getAxisLayout('ΔG/G (%)', colors),
+            showlegend: false
+        }, config);
+    }
+
+    async runLogic() {
+        const { logicError } = this.elements;
+        const value = id => this.readControl(this.elements[id]);
+        const gate = this.elements.logicGate.value;
+        const settings = {
+            V_COND: value('logicVCond'),
+            V_SET: value('logicVSet'),
+            R_G: value('logicRG'),
+            V_0: value('logicV0'),
+            V_init: value('logicVInit'),
+            width: value('logicWidth') * 1e-6,
+            dt: value('timeStep') * 1e-6
+        };
+
+        logicError.textContent = '';
+        let response;
+        try {
+            response = await this.runInWorker({
+                logic: {
+                    model: this.elements.modelSelect.value,
+                    params: this.getModelParameters(),
+                    gate,
+                    settings,
+                    options: this.getSimulationOptions()
+                }
+            }, []);
+        } catch (error) {
+            logicError.textContent = error.message;
+            throw error;
+        }
+        if (!response) return;
+
+        const result = response.logic;
+        this.plotLogic(result);
+        this.renderLogic(result);
+        const correct = result.rows.filter(row => row.correct && row.inputsKept).length;
+        this.elements.statusText.textContent = `${logicGates[gate].name} complete (${correct}/${result.rows.length} ` +
+            `combinations correct, min margin ${result.minMargin.toFixed(2)})`;
+    }
+
+    // One row per input combination; a device state is listed with the logic
+    // value it reads as
+    renderLogic(result) {
+        this.renderTable(this.elements.logicResults,
+            ['Inputs', 'Expected', 'Output', 'Margin', 'Energy', 'States after', 'Inputs kept'],
+            result.rows.map(row => [
+                row.inputs.join(''),
+                String(row.expected),
+                row.correct ? String(row.result) : `${row.result} (wrong)`,
+                row.margin.toFixed(2),
+                formatEngineering(row.energy, 'J'),
+                row.states.map((s, k) => `${result.devices[k]} ${s.toFixed(3)} (${row.logic[k]})`).join(', '),
+                row.inputsKept ? 'Yes' : 'No'
+            ]));
+    }
+
+    // Final normalized state of every device per input combination, and the
+    // output margin above the energy per combination
+    plotLogic(result) {
+        const colors = this.getChartColors();
+        const config = { responsive: true, displayModeBar: false };
+        const combinations = result.rows.map(row => row.inputs.join(''));
+        const palette = [colors.lineColor, ...colors.compareColors];
+
+        Plotly.newPlot('logicStateChart', result.devices.map((device, k) => ({
+            x: combinations,
+            y: result.rows.map(row => row.states[k]),
+            type: 'bar',
+            marker: { color: palette[k % palette.length] },
+            name: device
+        })), {
+            ...this.getBaseLayout(colors),
+            barmode: 'group',
+            xaxis: { ...this.getAxisLayout('Inputs', colors), type: 'category' },
+            yaxis: { ...this.getAxisLayout('Normalized state', colors), range: [0, 1] },
+            legend: { orientation: 'h', y: 1.1 }
+        }, config);
+
+        Plotly.newPlot('logicMarginChart', [{
+            x: combinations,
+            y: result.rows.map(row => row.margin),
+            type: 'bar',
+            marker: { color: result.rows.map(row => (row.correct && row.inputsKept ? colors.lineColor : colors.compareColors[1])) },
+            name: 'Margin'
+        }, {
+            x: combinations,
+            y: result.rows.map(row => row.energy),
+            yaxis: 'y2',
+            type: 'bar',
+            marker: { color: colors.compareColors[2] },
+            name: 'Energy'
+        }], {
+            ...this.getBaseLayout(colors),
+            grid: { rows: 2, columns: 1, pattern: 'coupled' },
+            xaxis: { ...this.getAxisLayout('Inputs', colors), type: 'category' },
+            yaxis: this.getAxisLayout('Output margin', colors),
+            yaxis2: this.getAxisLayout('Energy (J)', colors),
+            showlegend: false
+        }, config);
+    }
+
+    // Spread of HRS, LRS, ON/OFF ratio and switching thresholds over the runs
+    renderMonteCarloStatistics(metrics) {
+        const quantities = [
+            ['HRS', 'Ω', m => m.hrs],
+            ['LRS', 'Ω', m => m.lrs],
+            ['HRS/LRS ratio', '', m => m.ratio],
+            ['SET threshold', 'V', m => m.setThreshold],
+            ['RESET threshold', 'V', m => m.resetThreshold]
+        ];
+        const value = (v, unit) => (v === null ? '—' : unit ? formatEngineering(v, unit) : v.toFixed(2));
+        this.renderTable(this.elements.mcResults, ['Quantity', 'Mean', 'σ', 'Min', 'Max', 'Runs'],
+            quantities.map(([name, unit, get]) => {
+                const stats = sampleStatistics(metrics.map(get));
+                return [name, value(stats.mean, unit), value(stats.std, unit), value(stats.min, unit), value(stats.max, unit),
+                    String(stats.count)];
+            }));
+    }
+
+    renderTable(container, headers, rows) {
+        const table = document.createElement('table');
+        const head = table.createTHead().insertRow();
+        headers.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const tr = body.insertRow();
+            cells.forEach(text => {
+                tr.insertCell().textContent = text;
+            });
+        });
+        container.replaceChildren(table);
+    }
+
+    // Heatmap of a rows x cols matrix with the selected cell outlined
+    plotHeatmap(id, z, title, [row, col], range = null) {
+        const colors = this.getChartColors();
+        const heatmap = {
+            z,
+            x: z[0].map((_, j) => j + 1),
+            y: z.map((_, i) => i + 1),
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            colorbar: { title, titleside: 'right' },
+            hovertemplate: 'Row %{y}, column %{x}<br>%{z:.4g}<extra></extra>'
+        };
+        if (range) {
+            heatmap.zmin = range[0];
+            heatmap.zmax = range[1];
+        }
+
+        const layout = {
+            ...this.getBaseLayout(colors),
+            xaxis: { ...this.getAxisLayout('Column', colors), zeroline: false, dtick: 1 },
+            yaxis: { ...this.getAxisLayout('Row', colors), zeroline: false, dtick: 1, autorange: 'reversed' },
+            shapes: [{
+                type: 'rect',
+                x0: col + 0.5,
+                x1: col + 1.5,
+                y0: row + 0.5,
+                y1: row + 1.5,
+                line: { color: colors.cursorColor, width: 3 }
+            }]
+        };
+
+        Plotly.newPlot(id, [heatmap], layout, { responsive: true, displayModeBar: false });
+    }
+
+    formatStepStats(stats) {
+        const name = this.elements.integratorSelect.selectedOptions[0].textContent;
+        if (stats.method === 'rk45') {
+            return `${name}: ${stats.accepted} accepted / ${stats.rejected} rejected steps`;
+        }
+        return `${name}: ${stats.accepted} steps`;
+    }
+
+    // The curve is drawn against the device voltage; when a series resistor or
+    // compliance makes it differ from the source voltage, both are shown.
+    // Comparisons are { name, trace } pairs drawn in their own colors
+    plotHysteresis(trace, measurement = null, comparisons = []) {
+        const colors = this.getChartColors();
+        const circuit = trace.V.some((v, i) => v !== trace.Vd[i]);
+        const curve = {
+            x: trace.Vd,
+            y: trace.I,
+            type: 'scatter',
+            mode: 'lines',
+            line: {
+                color: colors.lineColor,
+                width: 2
+            },
+            name: 'I-V Curve'
+        };
+
+        // Marker that follows the hovered sample of the time-domain chart
+        const cursor = {
+            x: [],
+            y: [],
+            type: 'scatter',
+            mode: 'markers',
+            marker: {
+                color: colors.cursorColor,
+                size: 10
+            },
+            hoverinfo: 'skip',
+            name: 'Cursor'
+        };
+
+        const traces = [curve, cursor];
+        if (circuit) {
+            curve.name = 'I vs V_device';
+            traces.push({
+                x: trace.V,
+                y: trace.I,
+                type: 'scatter',
+                mode: 'lines',
+                line: {
+                    color: colors.lineColor,
+                    width: 1,
+                    dash: 'dot'
+                },
+                name: 'I vs V_source'
+            });
+        }
+        comparisons.forEach((c, k) => {
+            traces.push({
+                x: c.trace.Vd,
+                y: c.trace.I,
+                type: 'scatter',
+                mode: 'lines',
+                line: {
+                    color: colors.compareColors[k % colors.compareColors.length],
+                    width: 1.5
+                },
+                name: c.name
+            });
+        });
+        if (comparisons.length > 0) {
+            curve.name = `${modelRegistry[this.elements.modelSelect.value].name} (current)`;
+        }
+        if (measurement) {
+            if (comparisons.length === 0) curve.name = circuit ? 'Simulated (V_device)' : 'Simulated';
+            traces.push({
+                x: measurement.V,
+                y: measurement.I,
+                type: 'scatter',
+                mode: 'markers',
+                marker: {
+                    color: colors.measuredColor,
+                    size: 4
+                },
+                name: 'Measured',
+                meta: 'measured'
+            });
+        }
+
+        const layout = {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Voltage (V)', colors),
+            yaxis: this.getAxisLayout('Current (A)', colors),
+            showlegend: measurement !== null || circuit || comparisons.length > 0,
+            legend: { x: 0.02, y: 0.98 }
+        };
+
+        Plotly.newPlot('chart', traces, layout, { responsive: true, displayModeBar: false });
+    }
+
+    // A measurement passed here drove the simulation; its current is overlaid
+    // on I(t), as are the currents of the compared curves
+    plotTimeDomain(trace, measurement = null, comparisons = []) {
+        const colors = this.getChartColors();
+        const time = trace.t.map(t => t * 1e6);
+        const series = [
+            { y: trace.V, title: 'V (V)', name: 'V_source' },
+            { y: trace.I, title: 'I (A)', name: 'I' },
+            { y: trace.state, title: 'State', name: 'State' },
+            { y: trace.M, title: 'M (Ω)', name: 'M' }
+        ];
+        if (trace.T) series.push({ y: trace.T, title: 'T (K)', name: 'T' });
+
+        // Stacked subplots sharing the x axis of the bottom row
+        const traces = series.map((s, k) => ({
+            x: time,
+            y: s.y,
+            xaxis: 'x',
+            yaxis: k === 0 ? 'y' : `y${k + 1}`,
+            type: 'scatter',
+            mode: 'lines',
+            line: {
+                color: colors.lineColor,
+                width: 1.5
+            },
+            name: s.name
+        }));
+
+        // Device voltage next to the source voltage
+        if (trace.V.some((v, i) => v !== trace.Vd[i])) {
+            traces.push({
+                x: time,
+                y: trace.Vd,
+                xaxis: 'x',
+                yaxis: 'y',
+                type: 'scatter',
+                mode: 'lines',
+                line: {
+                    color: colors.cursorColor,
+                    width: 1.5
+                },
+                name: 'V_device'
+            });
+        }
+
+        comparisons.forEach((c, k) => {
+            traces.push({
+                x: time,
+                y: c.trace.I,
+                xaxis: 'x',
+                yaxis: 'y2',
+                type: 'scatter',
+                mode: 'lines',
+                line: {
+                    color: colors.compareColors[k % colors.compareColors.length],
+                    width: 1
+                },
+                name: `I (${c.name})`
+            });
+        });
+
+        if (measurement) {
+            traces.push({
+                x: measurement.t.map(t => (t - measurement.t[0]) * 1e6),
+                y: measurement.I,
+                xaxis: 'x',
+                yaxis: 'y2',
+                type: 'scatter',
+                mode: 'markers',
+                marker: {
+                    color: colors.measuredColor,
+                    size: 3
+                },
+                name: 'Measured I',
+                meta: 'measured'
+            });
+        }
+
+        const layout = {
+            ...this.getBaseLayout(colors),
+            grid: { rows: series.length, columns: 1, pattern: 'coupled' },
+            xaxis: this.getAxisLayout('Time (μs)', colors),
+            hovermode: 'x',
+            showlegend: false,
+            margin: { t: 10, r: 20, b: 50, l: 80 }
+        };
+        series.forEach((s, k) => {
+            layout[k === 0 ? 'yaxis' : `yaxis${k + 1}`] = this.getAxisLayout(s.title, colors);
+        });
+
+        Plotly.newPlot('timeChart', traces, layout, { responsive: true, displayModeBar: false });
+    }
+
+    // Family of I-V curves colored by the swept value, and the metric against it
+    plotSweep(curves, label, log, metric) {
+        const colors = this.getChartColors();
+        const scaled = v => (log ? Math.log10(v) : v);
+        const cmin = Math.min(...curves.map(c => scaled(c.value)));
+        const cmax = Math.max(...curves.map(c => scaled(c.value)));
+        const config = { responsive: true, displayModeBar: false };
+
+        const traces = curves.map(c => ({
+            x: c.trace.Vd,
+            y: c.trace.I,
+            type: 'scatter',
+            mode: 'lines',
+            line: {
+                color: this.getScaleColor(colors.sweepScale, cmax > cmin ? (scaled(c.value) - cmin) / (cmax - cmin) : 0),
+                width: 1.5
+            },
+            name: `${label} = ${Number(c.value.toPrecision(3))}`
+        }));
+
+        // Invisible marker trace carrying the colorbar
+        traces.push({
+            x: [null],
+            y: [null],
+            type: 'scatter',
+            mode: 'markers',
+            marker: {
+                color: [cmin],
+                cmin,
+                cmax: cmax > cmin ? cmax : cmin + 1,
+                colorscale: colors.sweepScale,
+                showscale: true,
+                colorbar: {
+                    title: log ? `log₁₀ ${label}` : label,
+                    tickfont: { color: colors.textColor }
+                }
+            },
+            hoverinfo: 'skip',
+            showlegend: false
+        });
+
+        Plotly.newPlot('sweepChart', traces, {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Voltage (V)', colors),
+            yaxis: this.getAxisLayout('Current (A)', colors),
+            showlegend: false
+        }, config);
+
+        Plotly.newPlot('sweepMetricChart', [{
+            x: curves.map(c => c.value),
+            y: curves.map(c => c.metric),
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: {
+                color: colors.lineColor,
+                width: 2
+            },
+            marker: { size: 6 },
+            name: metric.name
+        }], {
+            ...this.getBaseLayout(colors),
+            xaxis: { ...this.getAxisLayout(label, colors), type: log ? 'log' : 'linear' },
+            yaxis: this.getAxisLayout(metric.unit ? `${metric.name} (${metric.unit})` : metric.name, colors)
+        }, config);
+    }
+
+    // I-V spread of the Monte Carlo runs, as the band between the lowest and
+    // highest current at every sample around the mean or as every trace, and
+    // histograms of the per-run HRS, LRS and switching thresholds
+    plotMonteCarlo({ traces, metrics }, display) {
+        const colors = this.getChartColors();
+        const config = { responsive: true, displayModeBar: false };
+
+        let curves;
+        if (display === 'overlay') {
+            curves = traces.map((trace, k) => ({
+                x: trace.Vd,
+                y: trace.I,
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: colors.lineColor, width: 1 },
+                opacity: 0.3,
+                name: `Run ${k + 1}`
+            }));
+        } else {
+            const { lower, mean, upper } = currentEnvelope(traces);
+            const V = traces[0].V;
+            curves = [
+                { x: V, y: lower, type: 'scatter', mode: 'lines', line: { width: 0 }, hoverinfo: 'skip', name: 'Lowest' },
+                {
+                    x: V, y: upper, type: 'scatter', mode: 'lines', line: { width: 0 },
+                    fill: 'tonexty', fillcolor: colors.envelopeFill, hoverinfo: 'skip', name: 'Range'
+                },
+                { x: V, y: mean, type: 'scatter', mode: 'lines', line: { color: colors.lineColor, width: 2 }, name: 'Mean' }
+            ];
+        }
+
+        Plotly.newPlot('mcChart', curves, {
+            ...this.getBaseLayout(colors),
+            xaxis: this.getAxisLayout('Voltage (V)', colors),
+            yaxis: this.getAxisLayout('Current (A)', colors),
+            showlegend: false
+        }, config);
+
+        const histograms = [
+            ['HRS (Ω)', m => m.hrs],
+            ['LRS (Ω)', m => m.lrs],
+            ['SET threshold (V)', m => m.setThreshold],
+            ['RESET threshold (V)', m => m.resetThreshold]
+        ];
+        const layout = {
+            ...this.getBaseLayout(colors),
+            grid: { rows: 2, columns: 2, pattern: 'independent' },
+            showlegend: false
+        };
+        const bars = histograms.map(([title, get], k) => {
+            const suffix = k === 0 ? '' : String(k + 1);
+            layout[`xaxis${suffix}`] = { ...this.getAxisLayout(title, colors), zeroline: false };
+            layout[`yaxis${suffix}`] = { ...this.getAxisLayout(k % 2 === 0 ? 'Runs' : '', colors), zeroline: false };
+            return {
+                x: metrics.map(get).filter(Number.isFinite),
+                type: 'histogram',
+                xaxis: `x${suffix}`,
+                yaxis: `y${suffix}`,
+                marker: { color: colors.compareColors[k] },
+                name: title
+            };
+        });
+        Plotly.newPlot('mcHistChart', bars, layout, config);
+    }
+
+    // Cross-link hovering: a sample hovered in one view is marked in the other
+    linkCharts() {
+        const ivChart = document.getElementById('chart');
+        const timeChart = document.getElementById('timeChart');
+
+        [ivChart, timeChart].forEach(gd => {
+            gd.removeAllListeners('plotly_hover');
+            gd.removeAllListeners('plotly_unhover');
+            gd.on('plotly_unhover', () => this.clearCursors());
+        });
+        const simulated = e => e.points.find(p => p.data.meta !== 'measured');
+        ivChart.on('plotly_hover', e => {
+            const point = simulated(e);
+            if (point) this.showTimeCursor(point.pointIndex);
+        });
+        timeChart.on('plotly_hover', e => {
+            const point = simulated(e);
+            if (point) this.showIVCursor(point.pointIndex);
+        });
+    }
+
+    showIVCursor(index) {
+        Plotly.restyle('chart', { x: [[this.trace.Vd[index]]], y: [[this.trace.I[index]]] }, [1]);
+    }
+
+    showTimeCursor(index) {
+        const colors = this.getChartColors();
+        const time = this.trace.t[index] * 1e6;
+        Plotly.relayout('timeChart', {
+            shapes: [{
+                type: 'line',
+                xref: 'x',
+                yref: 'paper',
+                x0: time,
+                x1: time,
+                y0: 0,
+                y1: 1,
+                line: { color: colors.cursorColor, width: 1, dash: 'dot' }
+            }]
+        });
+    }
+
+    clearCursors() {
+        Plotly.restyle('chart', { x: [[]], y: [[]] }, [1]);
+        Plotly.relayout('timeChart', { shapes: [] });
+    }
+
+    resetSimulation() {
+        this.stopFit();
+
         // Reset all controls to default values
         Object.values(this.elements).forEach(el => {
-            if (el.tagName === 'INPUT' && el.type === 'range') {
+            if ((el.tagName === 'INPUT' && (el.type === 'range' || el.type === 'text')) || el.tagName === 'TEXTAREA') {
+                if (el.dataset.step) el.step = el.dataset.step;
                 el.value = el.defaultValue;
             }
             else if (el.tagName === 'SELECT') {
@@ -717,7 +2792,15 @@ class SimulatorUI {
         });
 
         this.updateAllDisplays();
+        this.updateModeControls();
         this.updateModelControls();
+        this.updateSourceControls();
+        this.updateIntegratorControls();
+        this.updateCircuitControls();
+        this.updateRelaxationControls();
+        this.updateLogicControls();
+        this.updateSweepControls();
+        this.updateVariationControls();
         this.initializeChart();
         this.elements.statusText.textContent = 'Reset complete - Ready to simulate';
         this.runSimulation();
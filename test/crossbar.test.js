@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveNetwork, CrossbarArray, createModel } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+// 1 V on node 0, ground on node 3, unit conductances 0-1, 1-2, 2-3 and 1-3.
+// By hand: 1 = 3 v1 - v2 and v1 = 2 v2, so v1 = 0.4 and v2 = 0.2.
+const ladder = [[0, 1, 1], [1, 2, 1], [2, 3, 1], [1, 3, 1]];
+const driven = [1, null, null, 0];
+
+test('solveNetwork solves a hand-solved resistor ladder', () => {
+    const x = solveNetwork(4, ladder, driven, [0, 0, 0, 0]);
+    assert.equal(x[0], 1);
+    assert.equal(x[3], 0);
+    assertClose(x[1], 0.4, 1e-12, 'v1');
+    assertClose(x[2], 0.2, 1e-12, 'v2');
+});
+
+test('solveNetwork gives the same solution with a chain preconditioner', () => {
+    const x = solveNetwork(4, ladder, driven, [0.5, 0.5, 0.5, 0.5], [[1, 2]]);
+    assertClose(x[1], 0.4, 1e-12, 'v1');
+    assertClose(x[2], 0.2, 1e-12, 'v2');
+});
+
+test('a single crossbar cell with wire resistance is a voltage divider', () => {
+    // One segment from each driver to the crossing: R_wire + M + R_wire
+    const array = new CrossbarArray(1, 1, () => createModel('iondrift', { R_ON: 100, R_OFF: 16000, w_init: 0 }),
+        { wireResistance: 10 });
+    const { cellV, columnCurrents } = array.solve({ rows: [1], cols: [0] });
+    assertClose(columnCurrents[0], 1 / 16020, 1e-15, 'I');
+    assertClose(cellV[0][0], 16000 / 16020, 1e-12, 'cell voltage');
+});
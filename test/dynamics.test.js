@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stateDerivativeMap, thresholdCurves, modelThresholds, createModel } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+test('stateDerivativeMap gives the normalized rate of a linear ion drift device', () => {
+    const params = { mu_v: 1e-14, D: 10e-9, R_ON: 100, R_OFF: 16000, window: 'none' };
+    const voltages = [-1, 0, 1];
+    const states = [0.25, 0.75];
+    const rate = stateDerivativeMap(() => createModel('iondrift', params), voltages, states);
+    states.forEach((x, i) => voltages.forEach((V, j) => {
+        // dw/dt = mu_v R_ON / D * V / M, normalized by D
+        const M = params.R_ON * x + params.R_OFF * (1 - x);
+        const expected = params.mu_v * params.R_ON / params.D * V / M / params.D;
+        assertClose(rate[i][j], expected, Math.abs(expected) * 1e-12, `x = ${x}, V = ${V}`);
+    }));
+});
+
+test('thresholdCurves finds the switching voltages of a threshold model', () => {
+    const { positive, negative } = thresholdCurves(() => createModel('yakopcic'), [0, 0.5], 2);
+    assertClose(positive[1], 0.5, 1e-9, 'U_p');
+    assertClose(negative[1], -0.5, 1e-9, '−U_n');
+    // The negative window closes at x = 0, where nothing moves the state
+    assert.equal(negative[0], null);
+});
+
+test('thresholdCurves reports no threshold for a model without one', () => {
+    const { positive, negative } = thresholdCurves(() => createModel('iondrift'), [0.5], 1);
+    assert.deepEqual(positive, [null]);
+    assert.deepEqual(negative, [null]);
+});
+
+test('modelThresholds normalizes the declared window edges', () => {
+    const { voltages, states } = modelThresholds('yakopcic', { x_on: 0.5 });
+    assert.deepEqual(voltages, [['−U_n', -0.5], ['U_p', 0.5]]);
+    // x_p = 0.3 lies below the bounds [0.5, 1] and is left out
+    assert.equal(states.length, 1);
+    assert.equal(states[0][0], '1 − x_n');
+    assertClose(states[0][1], 0.4, 1e-12, '1 − x_n');
+    assert.deepEqual(modelThresholds('iondrift'), { voltages: [], states: [] });
+});
+
+test('modelThresholds marks both VTEAM window edges within the state range', () => {
+    const { voltages, states } = modelThresholds('vteam');
+    assert.deepEqual(voltages, [['u_on', -0.5], ['u_off', 0.5]]);
+    assert.deepEqual(states.map(([label]) => label), ['a_on', 'a_off']);
+    assertClose(states[0][1], 0.2, 1e-12, 'a_on');
+    assertClose(states[1][1], 0.8, 1e-12, 'a_off');
+});
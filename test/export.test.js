@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createModel, windowFunctions, exportSpice, exportVerilogA, spiceTestbench, parseSpiceOutput, compareCurrents
+} from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+// Every model, the ion drift one under each of its windows
+const CASES = [
+    ...Object.keys(windowFunctions).map(window => ['iondrift', { window }]),
+    ['team', {}], ['vteam', {}], ['mms', {}], ['yakopcic', {}], ['stanford', {}]
+];
+const STATES = [0.02, 0.3, 0.5, 0.77, 0.98];
+const VOLTAGES = [-1.3, -0.6, -0.2, 0.05, 0.4, 0.8, 1.4];
+
+// The functions both netlist dialects use, as JS
+const FUNCTIONS = 'const pow = Math.pow, exp = Math.exp, ln = Math.log, abs = Math.abs, sinh = Math.sinh, '
+    + 'min = Math.min, max = Math.max;';
+
+// Device current and normalized dx/dt of an exported ngspice subcircuit as
+// JS functions of the device voltage v and the normalized state x
+function spiceDevice(text) {
+    const values = Object.fromEntries([...text.matchAll(/^\+ (?:params: )?(\w+)=(\S+)$/gm)].map(([, key, value]) => [key, value]));
+    const source = name => {
+        const expr = new RegExp(`^${name} \\S+ \\S+ I = (.*)$`, 'm').exec(text)[1]
+            .replace(/\{(\w+)\}/g, (_, key) => `(${values[key]})`)
+            .replace(/V\(pos,neg\)/g, 'v')
+            .replace(/V\(x\)/g, 'x');
+        return new Function('v', 'x', `${FUNCTIONS} return ${expr};`);
+    };
+    return { current: source('Bm'), rate: source('Bx') };
+}
+
+// The same from an exported Verilog-A module, running its analog block
+// without the state integral
+function verilogDevice(text) {
+    const parameters = [...text.matchAll(/^ {4}parameter real (\w+) = (\S+);$/gm)].map(([, key, value]) => `const ${key} = ${value};`);
+    const locals = /^ {4}real (.*);$/m.exec(text)[1];
+    const block = text.slice(text.indexOf('analog begin') + 'analog begin'.length, text.indexOf('\n    end\n'));
+    const statements = block.split('\n').map(line => line.trim())
+        .filter(line => line && !line.startsWith('V(x) <+'))
+        .map(line => line
+            .replace('I(pos, neg) <+ ', 'current = ')
+            .replace('V(pos, neg)', 'vin')
+            .replace(/V\(x\)/g, 'x'));
+    return new Function('vin', 'x',
+        `${FUNCTIONS} ${parameters.join(' ')} let ${locals}, current; ${statements.join(' ')} return [current, ds];`);
+}
+
+// Current and normalized dx/dt of the JS model at a normalized state
+function modelAt(name, params, x, v) {
+    const device = createModel(name, params);
+    const [lo, hi] = device.stateBounds();
+    device.setState(lo + (hi - lo) * x);
+    return { current: device.getCurrent(v), rate: device.stateDerivative(v) / (hi - lo) };
+}
+
+const label = (name, params, x, v) => `${name} ${params.window || ''} x=${x} v=${v}`;
+
+test('the exported ngspice subcircuit evaluates to the JS model', () => {
+    CASES.forEach(([name, params]) => {
+        const device = spiceDevice(exportSpice(name, params));
+        STATES.forEach(x => VOLTAGES.forEach(v => {
+            const expected = modelAt(name, params, x, v);
+            assertClose(device.current(v, x), expected.current, 1e-9 * Math.abs(expected.current), `I ${label(name, params, x, v)}`);
+            assertClose(device.rate(v, x), expected.rate, 1e-9 * Math.abs(expected.rate), `dx/dt ${label(name, params, x, v)}`);
+        }));
+    });
+});
+
+test('the exported Verilog-A module evaluates to the JS model', () => {
+    CASES.forEach(([name, params]) => {
+        const text = exportVerilogA(name, params);
+        assert.ok(text.includes(`module ${name}(pos, neg);`), name);
+        const device = verilogDevice(text);
+        STATES.forEach(x => VOLTAGES.forEach(v => {
+            const expected = modelAt(name, params, x, v);
+            const [current, rate] = device(v, x);
+            assertClose(current, expected.current, 1e-9 * Math.abs(expected.current), `I ${label(name, params, x, v)}`);
+            assertClose(rate, expected.rate, 1e-9 * Math.abs(expected.rate), `dx/dt ${label(name, params, x, v)}`);
+        }));
+    });
+});
+
+test('the export carries the given parameters and the normalized initial state', () => {
+    const text = exportSpice('iondrift', { R_ON: 250, w_init: 2.5e-9 });
+    assert.match(text, /^\+ R_ON=250$/m);
+    assert.match(text, /^\+ x0=0\.25$/m);
+    assert.match(exportVerilogA('iondrift', { R_ON: 250, w_init: 2.5e-9 }), /parameter real x0 = 0\.25;/);
+});
+
+test('spiceTestbench drives the subcircuit with the stimulus as a PWL source', () => {
+    const V_seq = [0, 0.5, 1, 0.5, 0];
+    const text = spiceTestbench('vteam', {}, V_seq, 0.5, 'out.txt');
+    assert.ok(text.includes('.subckt vteam pos neg'));
+    assert.ok(text.includes('+ 0 0 0.5 0.5 1 1 1.5 0.5\n+ 2 0\n+ )'));
+    assert.ok(text.includes('Xm in 0 vteam'));
+    assert.ok(text.includes('.tran 0.5 2 0 0.5 uic'));
+    assert.ok(text.includes('wrdata out.txt idev'));
+
+    const series = spiceTestbench('vteam', {}, V_seq, 0.5, 'out.txt', 50);
+    assert.ok(series.includes('Rs in dev 50\nXm dev 0 vteam'));
+});
+
+test('parseSpiceOutput reads the time and value columns of wrdata output', () => {
+    const output = ' 0.000000000000000e+00  1.000000000000000e-06\r\n'
+        + ' 1.000000000000000e-06  2.500000000000000e-06\r\n'
+        + '\r\n'
+        + 'ngspice done\n'
+        + ' 2.000000000000000e-06 -5.000000000000000e-07\n';
+    assert.deepEqual(parseSpiceOutput(output), { t: [0, 1e-6, 2e-6], values: [1e-6, 2.5e-6, -5e-7] });
+});
+
+test('compareCurrents interpolates the ngspice current at the JS sample times', () => {
+    // A line sampled on a coarser, offset grid interpolates exactly
+    const trace = { t: [0, 1, 2, 3, 4], I: [0, 2, 4, 6, 8] };
+    const spice = { t: [-0.5, 1.5, 3.5, 5.5], values: [-1, 3, 7, 11] };
+    const exact = compareCurrents(trace, spice);
+    assertClose(exact.rms, 0, 1e-12, 'rms');
+    assert.equal(exact.points, 5);
+
+    // A constant offset comes out as the RMS difference
+    const offset = compareCurrents(trace, { t: spice.t, values: spice.values.map(I => I + 0.4) });
+    assertClose(offset.rms, 0.4, 1e-12, 'rms');
+    assertClose(offset.normalized, 0.05, 1e-12, 'normalized');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NelderMeadOptimizer } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+// Iterates until convergence, failing past maxIterations
+async function minimize(optimizer, maxIterations = 1000) {
+    while (!(await optimizer.iterate())) {
+        assert.ok(optimizer.iteration < maxIterations, `no convergence in ${maxIterations} iterations`);
+    }
+    return optimizer.best;
+}
+
+const quadratic = ([x, y]) => (x - 0.3) ** 2 + 2 * (y - 0.7) ** 2 + 0.5;
+
+test('NelderMeadOptimizer finds the minimum of a quadratic', async () => {
+    const best = await minimize(new NelderMeadOptimizer(quadratic, [0.9, 0.1]));
+    assertClose(best.x[0], 0.3, 1e-3, 'x');
+    assertClose(best.x[1], 0.7, 1e-3, 'y');
+    assertClose(best.f, 0.5, 1e-6, 'f');
+});
+
+test('NelderMeadOptimizer awaits a cost that returns a promise', async () => {
+    const optimizer = new NelderMeadOptimizer(async u => quadratic(u), [0.9, 0.1]);
+    const best = await minimize(optimizer);
+    assertClose(best.x[0], 0.3, 1e-3, 'x');
+    assert.ok(optimizer.evaluations > optimizer.iteration);
+});
+
+test('NelderMeadOptimizer keeps the search inside the unit box', async () => {
+    const best = await minimize(new NelderMeadOptimizer(([x, y]) => (x - 1.5) ** 2 + (y - 0.5) ** 2, [0.5, 0.5]));
+    assert.equal(best.x[0], 1);
+    assertClose(best.x[1], 0.5, 1e-3, 'y');
+});
+
+test('NelderMeadOptimizer steers around non-finite costs', async () => {
+    const best = await minimize(new NelderMeadOptimizer(u => (u[0] > 0.6 ? NaN : quadratic(u)), [0.5, 0.1]));
+    assertClose(best.x[0], 0.3, 1e-3, 'x');
+    assertClose(best.x[1], 0.7, 1e-3, 'y');
+});
+
+test('NelderMeadOptimizer gives up on a simplex with no finite cost', async () => {
+    const optimizer = new NelderMeadOptimizer(() => Infinity, [0.5, 0.5], { maxInfeasible: 5 });
+    for (let k = 1; k < 5; k++) {
+        assert.equal(await optimizer.iterate(), false);
+    }
+    await assert.rejects(optimizer.iterate(), /No finite cost in \d+ evaluations/);
+});
@@ -0,0 +1,7 @@
+// Assertions shared by the core's tests
+import assert from 'node:assert/strict';
+
+// Passes when actual lies within tolerance of expected
+export function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, simulateMemristor, generateWaveform, eulerStep, rk4Step, rk45Step } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+// The default drive: a 1 V, 160 kHz sine over 30 μs
+function sineRun(name, method, dt, options = {}) {
+    const t = Array.from({ length: Math.floor(30e-6 / dt) }, (_, i) => i * dt);
+    return simulateMemristor(createModel(name), generateWaveform('sine', t, 160e3, 1), dt, { method, ...options });
+}
+
+// Largest difference of the normalized state from a 1e-10 s rk4 reference,
+// at the samples of a 10 ns run
+function stateError(name, method, options = {}) {
+    const reference = sineRun(name, 'rk4', 1e-10);
+    const trace = sineRun(name, method, 1e-8, options);
+    return trace.state.reduce((worst, x, i) => Math.max(worst, Math.abs(x - reference.state[i * 100])), 0);
+}
+
+const unbounded = s => s;
+const context = () => ({ rtol: 1e-6, atol: 1e-9, span: 1, h: 0.1, accepted: 0, rejected: 0 });
+
+test('one step of ds/dt = -s matches each integrator\'s order', () => {
+    const decay = (frac, s) => -s;
+    assertClose(eulerStep(decay, 1, 0.1, unbounded, context()), 0.9, 1e-15, 'euler');
+    assertClose(rk4Step(decay, 1, 0.1, unbounded, context()), Math.exp(-0.1), 1e-7, 'rk4');
+    assertClose(rk45Step(decay, 1, 0.1, unbounded, context()), Math.exp(-0.1), 1e-8, 'rk45');
+});
+
+test('rk4 and rk45 follow a fine-step reference to about 1e-5', () => {
+    ['iondrift', 'team', 'vteam', 'mms', 'yakopcic'].forEach(name => {
+        const euler = stateError(name, 'euler');
+        const rk4 = stateError(name, 'rk4');
+        const rk45 = stateError(name, 'rk45');
+        assert.ok(rk4 < 1e-4, `${name} rk4 ${rk4}`);
+        assert.ok(rk45 < 2e-5, `${name} rk45 ${rk45}`);
+        assert.ok(euler > 10 * rk4, `${name} euler ${euler} vs rk4 ${rk4}`);
+    });
+});
+
+test('rk45 sub-steps the Stanford/PKU gap where fixed-step rk4 falls behind', () => {
+    // The gap's rate grows exponentially with the voltage, too steeply for a
+    // fixed 10 ns step
+    const rk4 = stateError('stanford', 'rk4');
+    const rk45 = stateError('stanford', 'rk45');
+    assert.ok(rk4 > 1e-2, `rk4 ${rk4}`);
+    assert.ok(rk45 < 2e-3, `rk45 ${rk45}`);
+});
+
+test('the step statistics count accepted and rejected steps', () => {
+    const samples = 3000;
+    ['euler', 'rk4'].forEach(method => {
+        const { stats } = sineRun('vteam', method, 1e-8);
+        assert.deepEqual(stats, { method, accepted: samples, rejected: 0, limited: 0 });
+    });
+    const loose = sineRun('vteam', 'rk45', 1e-8).stats;
+    const tight = sineRun('vteam', 'rk45', 1e-8, { rtol: 1e-10, atol: 1e-12 }).stats;
+    assert.ok(tight.rejected > 0, `rejected ${tight.rejected}`);
+    assert.ok(tight.accepted > loose.accepted && loose.accepted >= samples, `accepted ${loose.accepted}, ${tight.accepted}`);
+});
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parameterLibrary, createModel } from '../core/index.js';
+
+test('every library set builds its model and names its publication', () => {
+    parameterLibrary.forEach(({ model, name, params }) => {
+        assert.doesNotThrow(() => createModel(model, params), name);
+        assert.match(name, /\(.+ (19|20)\d\d\)$/, name);
+    });
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logicGates, statefulLogic, createModel } from '../core/index.js';
+
+const imply = { V_COND: 0.5, V_SET: 0.8, R_G: 200, width: 1e-6, dt: 1e-8 };
+// Slow, linear RESET above a low threshold and a high SET threshold, so that
+// V_0 resets the output through an ON input without setting an OFF one
+const magicParams = { u_on: -1, k_on: -1, alpha_on: 3, u_off: 0.2, k_off: 1e-3, alpha_off: 1 };
+const magic = { V_0: 0.9, V_init: 3, width: 3e-6, dt: 1e-8 };
+
+test('the truth tables list every gate', () => {
+    const table = (gate, combinations) => combinations.map(inputs => Boolean(logicGates[gate].truth(inputs)));
+    const pairs = [[0, 0], [0, 1], [1, 0], [1, 1]];
+    assert.deepEqual(table('imply', pairs), [true, true, false, true]);
+    assert.deepEqual(table('magic-nor', pairs), [true, false, false, false]);
+    assert.deepEqual(table('magic-not', [[0], [1]]), [true, false]);
+});
+
+test('IMPLY evaluates correctly on VTEAM devices at the default voltages', () => {
+    const result = statefulLogic(() => createModel('vteam'), 'imply', imply);
+    assert.equal(result.rows.length, 4);
+    assert.ok(result.correct);
+    assert.ok(result.minMargin > 0.5, `min margin ${result.minMargin}`);
+    assert.ok(result.energy > 0);
+});
+
+test('IMPLY fails when V_SET cannot switch q', () => {
+    const result = statefulLogic(() => createModel('vteam'), 'imply', { ...imply, V_SET: 0.55 });
+    assert.equal(result.correct, false);
+    const row = result.rows.find(({ inputs }) => inputs[0] === 0 && inputs[1] === 0);
+    assert.equal(row.result, 0);
+    assert.ok(row.margin < 0);
+});
+
+test('MAGIC gates evaluate correctly and keep their inputs', () => {
+    ['magic-not', 'magic-nor'].forEach(gate => {
+        const result = statefulLogic(() => createModel('vteam', magicParams), gate, magic);
+        assert.ok(result.correct, gate);
+        result.rows.forEach(row => assert.ok(row.inputsKept, `${gate} ${row.inputs}`));
+    });
+});
+
+test('statefulLogic rejects unknown gates and a missing load', () => {
+    const createDevice = () => createModel('vteam');
+    assert.throws(() => statefulLogic(createDevice, 'xor', imply), /Unknown logic gate/);
+    assert.throws(() => statefulLogic(createDevice, 'imply', { ...imply, R_G: 0 }), /R_G > 0/);
+});
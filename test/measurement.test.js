@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimited, parseMeasurement, thinMeasurement, measurementError } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+test('parseMeasurement reads a table in the chosen units and skips bad rows', () => {
+    const table = parseDelimited('V;I (mA)\n0,5;1\n1;2\nx;3\n');
+    assert.deepEqual(table.header, ['V', 'I (mA)']);
+    const measurement = parseMeasurement(table, { voltageColumn: 0, currentColumn: 1, currentUnit: 'mA' });
+    assert.deepEqual(measurement.V, [0.5, 1]);
+    assert.deepEqual(measurement.I, [1e-3, 2e-3]);
+    assert.equal(measurement.skipped, 1);
+});
+
+test('thinMeasurement keeps every k-th point', () => {
+    const measurement = { V: [0, 1, 2, 3, 4], I: [0, 1, 2, 3, 4], t: null };
+    assert.deepEqual(thinMeasurement(measurement, 3).V, [0, 2, 4]);
+    assert.equal(thinMeasurement(measurement, 10), measurement);
+});
+
+test('measurementError compares an aligned run at the measured times', () => {
+    const t = [1, 2, 3, 4];
+    const measurement = { t, V: [0, 1, 0, -1], I: [0, 2, 0, -2] };
+    const trace = { t: [0, 1, 2, 3], V: measurement.V, I: [0.5, 2.5, 0.5, -1.5] };
+    const { rms, normalized } = measurementError(trace, measurement, true);
+    assertClose(rms, 0.5, 1e-12, 'rms');
+    assertClose(normalized, 0.25, 1e-12, 'normalized');
+});
+
+test('measurementError matches unaligned points to the nearest simulated point', () => {
+    const measurement = { t: null, V: [0, 1], I: [0, 1] };
+    const trace = { V: [0, 0.5, 1], I: [0, 0.5, 1] };
+    assert.equal(measurementError(trace, measurement, false).rms, 0);
+});
+
+test('measurementError handles measurements too long to spread into Math.max', () => {
+    const n = 200000;
+    const t = Array.from({ length: n }, (_, k) => k * 1e-9);
+    const V = t.map(time => Math.sin(time * 1e6));
+    const measurement = { t, V, I: V.map(v => v * 1e-3) };
+    const trace = { t, V, I: measurement.I };
+    assert.equal(measurementError(trace, measurement, true).rms, 0);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    powerTrace, switchingEvents, hysteresisMetrics, switchingThresholds, switchingTimes, frequencyFingerprint,
+    createModel, simulateMemristor, generateWaveform
+} from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+// A SET up to the high band and a RESET back, at 1 A and 1 V per sample
+const state = [0, 0.05, 0.5, 0.95, 0.95, 0.5, 0.05];
+const trace = {
+    t: state.map((_, k) => k * 1e-6),
+    Vd: state.map(() => 1),
+    I: state.map(() => 1),
+    state,
+    M: state.map(x => 1000 - 900 * x)
+};
+
+test('powerTrace integrates the power with the trapezoidal rule', () => {
+    const { power, energy } = powerTrace({ t: [0, 0.5, 1.5], Vd: [2, 2, -1], I: [3, 3, 2] });
+    assert.deepEqual(Array.from(power), [6, 6, -2]);
+    assert.deepEqual(Array.from(energy), [0, 3, 5]);
+});
+
+test('switchingEvents finds a SET and a RESET between the bands', () => {
+    const events = switchingEvents(trace);
+    assert.deepEqual(events.map(({ type, start, end }) => [type, start, end]), [['SET', 1, 3], ['RESET', 4, 6]]);
+    assertClose(events[0].duration, 2e-6, 1e-18, 'SET duration');
+    assertClose(events[0].energy, 2e-6, 1e-18, 'SET energy');
+    assert.equal(events[1].peakPower, 1);
+});
+
+test('switchingEvents ignores a transition that stops short of the other band', () => {
+    // The RESET ends at 0.05, above a low band of 0.01
+    const events = switchingEvents(trace, { low: 0.01, high: 0.9 });
+    assert.deepEqual(events.map(({ type, start, end }) => [type, start, end]), [['SET', 0, 3]]);
+    assert.throws(() => switchingEvents(trace, { low: 0.5, high: 0.5 }), /0 <= low < high <= 1/);
+});
+
+// One period of a 1 V, 160 kHz sine through a fresh device
+function sinePeriod(name, params) {
+    const dt = 1e-8;
+    const t = Array.from({ length: 626 }, (_, i) => i * dt);
+    return simulateMemristor(createModel(name, params), generateWaveform('sine', t, 160e3, 1), dt);
+}
+
+// A fixed 1 kΩ resistance over one period of a 1 V sine, with an extra
+// current of amplitude leak in quadrature
+function resistorTrace(leak) {
+    const t = Array.from({ length: 1001 }, (_, i) => i / 1000);
+    return {
+        t,
+        Vd: t.map(time => Math.sin(2 * Math.PI * time)),
+        I: t.map(time => Math.sin(2 * Math.PI * time) / 1000 + leak * Math.cos(2 * Math.PI * time)),
+        M: t.map(() => 1000)
+    };
+}
+
+test('hysteresisMetrics finds the pinched loop of an ion drift device', () => {
+    const trace = sinePeriod('iondrift', { window: 'none' });
+    const metrics = hysteresisMetrics(trace);
+    assert.equal(metrics.pinched, true);
+    assert.ok(metrics.pinchCurrent <= 1e-3 * trace.I.reduce((peak, I) => Math.max(peak, Math.abs(I)), 0), `pinch current ${metrics.pinchCurrent}`);
+    assert.ok(metrics.hrs > metrics.lrs && metrics.lrs >= 100, `HRS ${metrics.hrs}, LRS ${metrics.lrs}`);
+    assertClose(metrics.ratio, metrics.hrs / metrics.lrs, 1e-12, 'ratio');
+    assert.ok(metrics.lobeAreas[0] > 0 && metrics.lobeAreas[2] > 0, `lobes ${metrics.lobeAreas}`);
+});
+
+test('hysteresisMetrics reports an open loop and a fixed resistance', () => {
+    const metrics = hysteresisMetrics(resistorTrace(1e-5));
+    assert.equal(metrics.pinched, false);
+    assertClose(metrics.pinchCurrent, 1e-5, 1e-9, 'pinch current');
+    // The leak current opens the read-out around 1 kΩ
+    assert.ok(metrics.hrs > 1000 && metrics.lrs < 1000, `HRS ${metrics.hrs}, LRS ${metrics.lrs}`);
+    assert.equal(metrics.setThreshold, null);
+    assert.equal(metrics.setTime, null);
+});
+
+test('switchingThresholds finds where ln M starts to move in each direction', () => {
+    // A triangle from 0 to 1 V, down to -1 V and back in 0.01 V steps; M
+    // falls above 0.5 V and rises below -0.3 V
+    const Vd = [];
+    for (let k = 0; k <= 400; k++) Vd.push(k <= 100 ? k / 100 : k <= 300 ? (200 - k) / 100 : (k - 400) / 100);
+    const M = [1000];
+    Vd.slice(0, -1).forEach((V, i) => M.push(M[i] * (V > 0.5 ? 0.99 : V < -0.3 ? 1.01 : 1)));
+    const { set, reset } = switchingThresholds({ t: Vd.map((_, k) => k * 1e-6), Vd, M });
+    assertClose(set, 0.51, 1e-9, 'SET');
+    assertClose(reset, -0.31, 1e-9, 'RESET');
+    assert.deepEqual(switchingThresholds(resistorTrace(0)), { set: null, reset: null });
+});
+
+test('switchingTimes measures the 10-90 % transitions of ln M', () => {
+    // ln M falls from ln 1000 to ln 10 over 100 samples and rises back over 50
+    const levels = [
+        ...Array(10).fill(1),
+        ...Array.from({ length: 100 }, (_, k) => 1 - (k + 0.5) / 100),
+        ...Array(10).fill(0),
+        ...Array.from({ length: 50 }, (_, k) => (k + 0.5) / 50)
+    ];
+    const M = levels.map(x => 10 * Math.pow(100, x));
+    const { set, reset } = switchingTimes({ t: M.map((_, k) => k * 1e-9), M });
+    assertClose(set, 81e-9, 1e-15, 'SET');
+    assertClose(reset, 41e-9, 1e-15, 'RESET');
+    assert.deepEqual(switchingTimes(resistorTrace(0)), { set: null, reset: null });
+});
+
+test('frequencyFingerprint shows the ion drift loop shrinking with frequency', () => {
+    const frequencies = [1, 2, 4, 8].map(k => k * 160e3);
+    const { areas, shrinking } = frequencyFingerprint(() => createModel('iondrift'), 1, frequencies);
+    assert.equal(shrinking, true);
+    areas.slice(1).forEach((area, k) => assert.ok(area < areas[k], `${frequencies[k + 1]} Hz: ${area} vs ${areas[k]}`));
+    // Played from high to low frequency the same areas grow
+    assert.equal(frequencyFingerprint(() => createModel('iondrift'), 1, frequencies.reverse()).shrinking, false);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { windowFunctions, createModel, simulateMemristor, generateWaveform } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+// Window value at the lower boundary, the midpoint and the upper boundary for
+// a positive and a negative current
+function windowValues(name, params) {
+    const { f } = windowFunctions[name];
+    return [1, -1].map(i => [0, 0.5, 1].map(x => f(x, i, params)));
+}
+
+function assertValues(actual, expected, message) {
+    actual.forEach((row, k) => row.forEach((value, m) =>
+        assertClose(value, expected[k][m], 1e-12, `${message} ${k === 0 ? 'i > 0' : 'i < 0'} x = ${m / 2}`)));
+}
+
+test('the Joglekar window closes at both boundaries whatever the current', () => {
+    assertValues(windowValues('joglekar', { p: 1 }), [[0, 1, 0], [0, 1, 0]], 'p = 1');
+    assertClose(windowFunctions.joglekar.f(0.25, 1, { p: 2 }), 1 - 0.5 ** 4, 1e-12, 'p = 2 at x = 0.25');
+});
+
+test('the Biolek window closes only at the boundary the current drives towards', () => {
+    assertValues(windowValues('biolek', { p: 1 }), [[1, 0.75, 0], [0, 0.75, 1]], 'p = 1');
+});
+
+test('the Prodromakis window peaks at j(1 - 0.75^p) in the middle', () => {
+    assertValues(windowValues('prodromakis', { p: 1, j: 1 }), [[0, 0.25, 0], [0, 0.25, 0]], 'p = 1, j = 1');
+    assertClose(windowFunctions.prodromakis.f(0.5, 1, { p: 2, j: 4 }), 4 * (1 - 0.75 ** 2), 1e-12, 'p = 2, j = 4');
+});
+
+test('the Zha window lets the state leave the boundary it was driven into', () => {
+    assertValues(windowValues('zha', { p: 1, j: 1 }), [[0.25, 0.1875, 0], [0, 0.1875, 0.25]], 'p = 1, j = 1');
+});
+
+test('the Kvatinsky window closes past a_on for a growing state and below a_off for a falling one', () => {
+    const params = { a_on: 0.9, a_off: 0.1, w_c: 0.05 };
+    const { f } = windowFunctions.kvatinsky;
+    assertValues(windowValues('kvatinsky', params), [
+        [Math.exp(-Math.exp(-18)), Math.exp(-Math.exp(-8)), Math.exp(-Math.exp(2))],
+        [Math.exp(-Math.exp(2)), Math.exp(-Math.exp(-8)), Math.exp(-Math.exp(-18))]
+    ], 'defaults');
+    assertClose(f(0.9, 1, params), Math.exp(-1), 1e-12, 'at a_on');
+    assertClose(f(0.1, -1, params), Math.exp(-1), 1e-12, 'at a_off');
+});
+
+test('TEAM holds its state while the current stays between i_on and i_off', () => {
+    // Halfway between w_on and w_off: M = 8050 Ω, so |V| < 0.805 V stays
+    // within the ±100 μA thresholds
+    const device = createModel('team', { w_init: 1.5e-9 });
+    [-0.8, -0.4, -0.05, 0, 0.05, 0.4, 0.8].forEach(V => assert.equal(device.stateDerivative(V), 0, `V = ${V}`));
+
+    // Twice the threshold current gives k (2 - 1)^α, with both windows open
+    const window = Math.exp(-Math.exp(-12));
+    assertClose(device.stateDerivative(1.61), 1e-5 * window, 1e-12, 'above i_off');
+    assertClose(device.stateDerivative(-1.61), -1e-5 * window, 1e-12, 'below i_on');
+});
+
+test('the Stanford/PKU gap closes and reopens under the default 1 V sine', () => {
+    const dt = 1e-8;
+    const t = Array.from({ length: 626 }, (_, i) => i * dt);
+    const V = generateWaveform('sine', t, 160e3, 1);
+    const { state, M } = simulateMemristor(createModel('stanford'), V, dt, { method: 'rk45' });
+
+    // SET on the positive half-cycle to g_min, RESET on the negative one back
+    // to g_max, each before the peak of its half-cycle (1.5625 μs per quarter)
+    const set = state.findIndex(x => x < 1e-3);
+    const reset = state.findIndex((x, i) => i > set && x > 1 - 1e-3);
+    assert.ok(set > 0 && set < 157 && V[set] > 0.4, `SET at ${V[set]} V`);
+    assert.ok(reset > 313 && reset < 469 && V[reset] < -0.4, `RESET at ${V[reset]} V`);
+    assert.ok(M[0] / M[set] > 100, `ratio ${M[0] / M[set]}`);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spikeShapes, potentiationDepression, stdpWindow, createModel } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+const createDevice = () => createModel('iondrift', { window: 'none' });
+
+test('spike shapes start at their amplitude', () => {
+    Object.values(spikeShapes).forEach(({ name, f }) => assert.equal(f(0, 0.5, 1e-6), 0.5, name));
+    assertClose(spikeShapes.triangular.f(0.5e-6, 0.5, 1e-6), 0.25, 1e-15, 'triangular half-way');
+    assertClose(spikeShapes.bipolar.f(0.2e-6, 0.5, 1e-6), -0.25, 1e-15, 'bipolar tail');
+});
+
+test('potentiation raises and depression lowers the conductance pulse by pulse', () => {
+    const pulses = 5;
+    const result = potentiationDepression(createDevice, {
+        pulses, potentiationVoltage: 1, depressionVoltage: -1, width: 0.1e-6, gap: 0.1e-6, dt: 1e-9
+    });
+    const G = result.conductance;
+    assert.equal(G.length, 2 * pulses + 1);
+    for (let k = 1; k <= pulses; k++) assert.ok(G[k] > G[k - 1], `potentiation pulse ${k}`);
+    for (let k = pulses + 1; k < G.length; k++) assert.ok(G[k] < G[k - 1], `depression pulse ${k}`);
+    assert.ok(result.potentiation.change > 0 && result.depression.change < 0);
+    assert.equal(result.dynamicRange, result.G_max / result.G_min);
+    assert.throws(() => potentiationDepression(createDevice, { pulses: 0 }), /at least 1/);
+});
+
+test('identical spikes that coincide leave the device unchanged', () => {
+    const spike = { shape: 'rectangular', amplitude: 0.4, width: 1e-6 };
+    const { delays, change } = stdpWindow(createDevice, { pre: spike, post: spike, range: 2e-6, points: 5, dt: 1e-8 });
+    [-2e-6, -1e-6, 0, 1e-6, 2e-6].forEach((delay, k) => assertClose(delays[k], delay, 1e-18, `Δt ${k}`));
+    assert.equal(change[2], 0);
+    assert.throws(() => stdpWindow(createDevice, { pre: spike, post: spike, range: 2e-6, points: 1, dt: 1e-8 }), /at least 2/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { retentionTimes, retentionExperiment, createModel } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+const settings = {
+    programVoltage: 1, programWidth: 20e-6, readVoltage: 0.2, readWidth: 1e-6,
+    start: 1e-4, stop: 1e-2, reads: 5, dt: 1e-8
+};
+const createDevice = () => createModel('iondrift');
+
+test('retentionTimes spaces the reads on a log axis', () => {
+    const times = retentionTimes(1e-3, 1e1, 5);
+    [1e-3, 1e-2, 1e-1, 1, 1e1].forEach((time, k) => assertClose(times[k], time, time * 1e-12, `read ${k}`));
+    assert.throws(() => retentionTimes(0, 1, 5), /0 < start < stop/);
+    assert.throws(() => retentionTimes(1, 2, 1), /at least 2 reads/);
+});
+
+test('retentionExperiment rejects reads that overlap', () => {
+    assert.throws(() => retentionExperiment(createDevice, { ...settings, readWidth: 1e-3 }), /Reads overlap/);
+});
+
+test('an undisturbed state relaxes exponentially towards its rest state', () => {
+    const tau = 1e-3;
+    const result = retentionExperiment(createDevice, settings, { relaxation: { tau, rest: 0 } });
+    assertClose(result.programmed, 1, 1e-3, 'programmed state');
+    result.t.forEach((time, k) => {
+        const expected = result.programmed * Math.exp(-time / tau);
+        assertClose(result.referenceState[k], expected, 1e-5 * expected + 1e-9, `state at ${time} s`);
+    });
+});
+
+test('positive reads drift a linear ion drift device towards LRS', () => {
+    const result = retentionExperiment(createDevice, { ...settings, programVoltage: 0 }, {});
+    assert.ok(result.referenceState.every(state => Math.abs(state - 0.5) < 1e-12));
+    result.drift.forEach((drift, k) => assert.ok(drift > (k > 0 ? result.drift[k - 1] : 0), `read ${k}`));
+    result.resistance.forEach((R, k) => assert.ok(R < result.referenceResistance[k], `read ${k}`));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRoot, solveDeviceVoltage, createModel, simulateMemristor } from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+test('findRoot finds the root of a bracketed function', () => {
+    assertClose(findRoot(x => x * x - 2, 0, 2, 1e-12), Math.SQRT2, 1e-10, '√2');
+    assertClose(findRoot(x => Math.exp(x) - 10, 0, 5, 1e-12), Math.log(10), 1e-10, 'ln 10');
+});
+
+test('findRoot returns an endpoint that is already a root', () => {
+    assert.equal(findRoot(x => x - 1, 1, 3, 1e-12), 1);
+    assert.equal(findRoot(x => x - 3, 1, 3, 1e-12), 3);
+});
+
+test('solveDeviceVoltage divides the source across a linear device and R_s', () => {
+    const device = createModel('iondrift', { R_ON: 100, R_OFF: 16000, w_init: 0 });
+    assert.equal(solveDeviceVoltage(device, 1), 1);
+    // A voltage divider: u = V * M / (M + R_s)
+    assertClose(solveDeviceVoltage(device, 1, 4000), 16000 / 20000, 1e-12, 'u');
+    assertClose(solveDeviceVoltage(device, -1, 4000), -16000 / 20000, 1e-12, 'u at -1 V');
+});
+
+test('solveDeviceVoltage balances the loop of a nonlinear device', () => {
+    const device = createModel('yakopcic', { x_init: 0.5 });
+    const u = solveDeviceVoltage(device, 1.5, 1000);
+    assertClose(u + 1000 * device.getCurrent(u), 1.5, 1e-10, 'u + R_s I(u)');
+    assert.ok(u > 0 && u < 1.5);
+});
+
+test('solveDeviceVoltage clamps the current at the compliance limit', () => {
+    const device = createModel('iondrift', { R_ON: 100, R_OFF: 16000, w_init: 0 });
+    const u = solveDeviceVoltage(device, 1, 0, 1e-5);
+    assertClose(device.getCurrent(u), 1e-5, 1e-15, 'I');
+    assertClose(u, 0.16, 1e-10, 'u');
+});
+
+test('the thermal node heats under a sustained current and relaxes to ambient', () => {
+    // 1 V for 2 μs, then 0 V for 2 μs, across a device too slow to switch;
+    // the node's time constant is R_th C_th = 100 ns
+    const thermal = { R_th: 1e5, C_th: 1e-12, T_amb: 300 };
+    const dt = 1e-9;
+    const V_seq = Array.from({ length: 4000 }, (_, i) => (i < 2000 ? 1 : 0));
+    const { T, M } = simulateMemristor(createModel('iondrift', { mu_v: 1e-20 }), V_seq, dt, { thermal });
+
+    const rise = thermal.R_th / M[0];
+    assert.equal(T[0], 300);
+    assertClose(T[100], 300 + rise * (1 - Math.exp(-1)), 1e-6 * rise, 'one time constant in');
+    assertClose(T[1999], 300 + rise, 1e-6 * rise, 'steady state');
+    assert.ok(T.every(temperature => temperature >= 300 && temperature <= 300 + rise * (1 + 1e-6)), 'T between ambient and steady state');
+    assertClose(T[2100], 300 + rise * Math.exp(-1), 1e-3 * rise, 'one time constant after');
+    assertClose(T[3999], 300, 1e-6, 'ambient');
+});
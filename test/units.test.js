@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatEngineering, parseEngineering, formatEntry, modelRegistry } from '../core/index.js';
+
+test('formatEngineering picks the SI prefix of the magnitude', () => {
+    assert.equal(formatEngineering(2.5e-6, 'A'), '2.50 μA');
+    assert.equal(formatEngineering(-16000, 'Ω'), '-16.0 kΩ');
+    assert.equal(formatEngineering(0, 'V'), '0 V');
+    assert.equal(formatEngineering(1e-18, 'J'), '1.00e-18 J');
+});
+
+test('parseEngineering reads a bare number in the field unit', () => {
+    assert.equal(parseEngineering('1.5', 'μs'), 1.5);
+    assert.equal(parseEngineering(' −2e3 ', 'Ω'), -2000);
+    assert.equal(parseEngineering('1.5 μs', 'μs'), 1.5);
+});
+
+test('parseEngineering converts SI prefixes and the base unit to the field unit', () => {
+    assert.equal(parseEngineering('500n', 'μs'), 0.5);
+    assert.equal(parseEngineering('500 ns', 'μs'), 0.5);
+    assert.equal(parseEngineering('2e-6 s', 'μs'), 2);
+    assert.equal(parseEngineering('16k', 'Ω'), 16000);
+    assert.equal(parseEngineering('3.3u', 'A'), 3.3e-6);
+    assert.equal(parseEngineering('3.3µA', 'A'), 3.3e-6);
+    assert.equal(parseEngineering('100 kHz', 'Hz'), 100000);
+});
+
+test('parseEngineering rejects text that is not a value in the field unit', () => {
+    assert.ok(Number.isNaN(parseEngineering('abc', 'V')));
+    assert.ok(Number.isNaN(parseEngineering('', 'V')));
+    assert.ok(Number.isNaN(parseEngineering('5 A', 'V')));
+    assert.ok(Number.isNaN(parseEngineering('5x', 'V')));
+});
+
+test('formatEntry writes text that parseEngineering reads back', () => {
+    assert.equal(formatEntry(1.5, 'μs'), '1.5');
+    assert.equal(formatEntry(16000, 'Ω'), '16k');
+    assert.equal(formatEntry(0.0005, 'μs'), '500p');
+    [1.5, 16000, 0.0005, 2.5e-7, -1e-6, 1234].forEach(value =>
+        assert.equal(parseEngineering(formatEntry(value, 'μs'), 'μs'), value, `${value}`));
+});
+
+test('formatEntry follows a parameter\'s display format', () => {
+    assert.equal(formatEntry(0.2, '', { notation: 'fixed', digits: 2 }), '0.20');
+    assert.equal(formatEntry(1e-9, 'm²/V·s', { notation: 'exponential', digits: 1 }), '1.0e-9');
+    assert.equal(formatEntry(16000, 'Ω', { notation: 'engineering', digits: 3 }), '16.0k');
+    assert.equal(formatEntry(100, 'Ω', { notation: 'engineering', digits: 3 }), '100Ω');
+    assert.equal(formatEntry(0.25, 'V', { notation: 'engineering', digits: 2 }), '250m');
+    ['fixed', 'exponential', 'engineering'].forEach(notation =>
+        assert.equal(parseEngineering(formatEntry(0.25, 'V', { notation, digits: 2 }), 'V'), 0.25, notation));
+});
+
+test('every model parameter with a control declares a display format', () => {
+    Object.entries(modelRegistry).forEach(([model, { type }]) => type.parameters
+        .filter(param => !param.hidden && !param.options)
+        .forEach(param => assert.ok(['fixed', 'exponential', 'engineering'].includes(param.format.notation), `${model} ${param.key}`)));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createRandom, gaussian, distributions, monteCarlo, currentEnvelope, sampleStatistics, createModel, generateWaveform
+} from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+test('createRandom repeats its sequence for a seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const first = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), first);
+    assert.ok(first.every(x => x >= 0 && x < 1));
+    assert.notDeepEqual(Array.from({ length: 5 }, createRandom(8)), first);
+});
+
+test('gaussian draws a standard normal deviate', () => {
+    const random = createRandom(1);
+    const { mean, std } = sampleStatistics(Array.from({ length: 20000 }, () => gaussian(random)));
+    assertClose(mean, 0, 0.03, 'mean');
+    assertClose(std, 1, 0.03, 'σ');
+});
+
+test('the lognormal distribution keeps the sign of the nominal value', () => {
+    const random = createRandom(3);
+    const draws = Array.from({ length: 1000 }, () => distributions.lognormal.sample(-2, 0.5, random));
+    assert.ok(draws.every(x => x < 0));
+});
+
+test('sampleStatistics leaves out runs without a value', () => {
+    const stats = sampleStatistics([1, 2, null, 3, NaN]);
+    assert.deepEqual(stats, { count: 3, mean: 2, std: 1, min: 1, max: 3 });
+    assert.equal(sampleStatistics([null]).mean, null);
+});
+
+test('currentEnvelope bounds the runs at every sample', () => {
+    const { lower, mean, upper } = currentEnvelope([{ I: [1, -2] }, { I: [3, 0] }]);
+    assert.deepEqual(lower, [1, -2]);
+    assert.deepEqual(mean, [2, -1]);
+    assert.deepEqual(upper, [3, 0]);
+});
+
+test('monteCarlo reproduces a set of runs from its seed', () => {
+    const dt = 1e-8;
+    const V_seq = generateWaveform('sine', Array.from({ length: 1000 }, (_, k) => k * dt), 100e3, 1);
+    const createDevice = random => createModel('iondrift', {
+        R_OFF: distributions.lognormal.sample(16000, 0.2, random)
+    });
+    const settings = { runs: 3, seed: 5, stateNoise: 0.01 };
+    const first = monteCarlo(createDevice, V_seq, dt, {}, settings);
+    const again = monteCarlo(createDevice, V_seq, dt, {}, settings);
+    assert.equal(first.traces.length, 3);
+    assert.deepEqual(Array.from(again.traces[2].I), Array.from(first.traces[2].I));
+    assert.notDeepEqual(Array.from(first.traces[1].I), Array.from(first.traces[0].I));
+});
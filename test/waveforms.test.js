@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parsePWL, generatePWL, parsePulsePattern, generatePulseTrain, staircaseLevels, generateStaircase, generateWaveform
+} from '../core/index.js';
+import { assertClose } from './helpers.js';
+
+test('parsePWL reads separated cells and skips headers, comments and blank lines', () => {
+    assert.deepEqual(parsePWL('time,voltage\n0,0\n# ramp\n\n1e-6;1\r\n2e-6 0.5'), [[0, 0], [1e-6, 1], [2e-6, 0.5]]);
+    // Tab-separated cells take a decimal comma
+    assert.deepEqual(parsePWL('Zeit\tSpannung\n0\t0\n0,5\t-1,25'), [[0, 0], [0.5, -1.25]]);
+});
+
+test('parsePWL rejects malformed tables with the line at fault', () => {
+    assert.throws(() => parsePWL(''), /PWL table is empty/);
+    assert.throws(() => parsePWL('time,voltage\n# nothing'), /PWL table is empty/);
+    assert.throws(() => parsePWL('0,0\n1e-6'), /PWL line 2: expected a time and a voltage/);
+    assert.throws(() => parsePWL('0,0\n1e-6,x'), /PWL line 2: expected a time and a voltage/);
+    assert.throws(() => parsePWL('0,0\ntime,voltage'), /PWL line 2: expected a time and a voltage/);
+    assert.throws(() => parsePWL('0,0\n2,1\n1,0'), /PWL line 3: time values must increase/);
+    assert.throws(() => parsePWL('0,0\n0,1'), /PWL line 2: time values must increase/);
+});
+
+test('generatePWL interpolates between the points and holds the end voltages', () => {
+    const V = generatePWL([-1, 0, 0.5, 1, 1.5, 3, 4], [[0, 0], [1, 2], [3, -2]]);
+    assert.deepEqual(V, [0, 0, 1, 2, 1, -2, -2]);
+});
+
+test('generatePulseTrain repeats the pattern of trapezoidal pulses count times', () => {
+    const shape = { vSet: 1, vReset: -1, vRead: 0.1, rise: 1, fall: 1, width: 2, period: 10 };
+    const pattern = parsePulsePattern('set, read;reset');
+    assert.deepEqual(pattern, ['SET', 'READ', 'RESET']);
+
+    const t = Array.from({ length: 90 }, (_, i) => i * 0.5);
+    const V = generatePulseTrain(t, { ...shape, pattern, count: 1 });
+    // Within a slot: rising edge, top, falling edge and rest
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7, 8].map(i => V[i]), [0, 0.5, 1, 1, 1, 1, 1, 0.5, 0]);
+    assert.equal(V[22], 0.1);
+    assert.equal(V[42], -1);
+    // The source returns to 0 V after the last slot
+    assert.ok(V.slice(60).every(v => v === 0));
+
+    const twice = generatePulseTrain(t, { ...shape, pattern: ['SET', 'RESET'], count: 2 });
+    assert.deepEqual([2, 22, 42, 62, 82].map(i => twice[i]), [1, -1, 1, -1, 0]);
+    assert.throws(() => generatePulseTrain(t, { ...shape, pattern: ['SET', 'HOLD'], count: 1 }), /Unknown pulse type: HOLD/);
+});
+
+test('staircaseLevels steps from start to stop and back in a double sweep', () => {
+    assert.deepEqual(staircaseLevels(0, 1, 0.25, 'single'), [0, 0.25, 0.5, 0.75, 1]);
+    assert.deepEqual(staircaseLevels(0, 1, 0.25, 'double'), [0, 0.25, 0.5, 0.75, 1, 0.75, 0.5, 0.25]);
+    assert.deepEqual(staircaseLevels(1, -1, 1, 'single'), [1, 0, -1]);
+    // A step larger than the span still gives both ends
+    assert.deepEqual(staircaseLevels(0, 1, 5, 'single'), [0, 1]);
+});
+
+test('generateStaircase holds each level for its dwell time and repeats the cycle', () => {
+    const t = Array.from({ length: 12 }, (_, i) => i);
+    const V = generateStaircase(t, { start: 0, stop: 1, step: 0.5, dwell: 2, mode: 'double' });
+    assert.deepEqual(V, [0, 0, 0.5, 0.5, 1, 1, 0.5, 0.5, 0, 0, 0.5, 0.5]);
+});
+
+test('generateWaveform shapes the periodic sources', () => {
+    const t = [0, 0.125, 0.25, 0.5, 0.75];
+    const sine = generateWaveform('sine', t, 1, 2);
+    assertClose(sine[2], 2, 1e-12, 'sine peak');
+    assertClose(sine[4], -2, 1e-12, 'sine trough');
+    assert.deepEqual(generateWaveform('triangle', t, 1, 1), [-1, -0.5, 0, 1, 0]);
+    assert.deepEqual(generateWaveform('sawtooth', t, 1, 1), [-1, -0.75, -0.5, 0, 0.5]);
+    assert.deepEqual(generateWaveform('square', [0.25, 0.75], 1, 3), [3, -3]);
+});
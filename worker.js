@@ -0,0 +1,145 @@
+// Simulation worker
+// Runs the simulations of one request off the page's main thread. A request
+// is a list of runs ({ model, params, V_seq, dt, options }), one Monte Carlo
+// set, one crossbar read-write-read, one retention experiment, one plasticity
+// experiment, one logic gate evaluation or one frequency fingerprint check;
+// every sample array travels as a Float64Array. Progress messages carry the samples done so far and, for the
+// first run, the part of its trajectory computed since the last message, so
+// the page can draw it while the rest is still running.
+import {
+    createModel, parameterViolations, simulateMemristor, monteCarlo, distributions, retentionExperiment,
+    potentiationDepression, stdpWindow, statefulLogic, createRandom, CrossbarArray, setResistiveState,
+    crossbarRead, crossbarWrite, frequencyFingerprint
+} from './core/index.js';
+
+const TRAJECTORY = ['t', 'Vd', 'I', 'state', 'M', 'T'];
+const PROGRESS_PERIOD = 150; // ms between progress messages
+
+// Buffers of the traces' arrays, each listed once: runs share their V_seq.
+// The temperature is null without a thermal model.
+function buffersOf(traces) {
+    const buffers = new Set();
+    traces.forEach(trace => [...TRAJECTORY, 'V'].forEach(key => {
+        if (trace[key]) buffers.add(trace[key].buffer);
+    }));
+    return [...buffers];
+}
+
+// Rate-limited progress over a total number of samples
+function createProgress(id, total) {
+    let last = performance.now();
+    let posted = 0;
+    return (done, trajectory) => {
+        const now = performance.now();
+        if (now - last < PROGRESS_PERIOD) return;
+        last = now;
+        const message = { id, type: 'progress', done, total };
+        if (trajectory) {
+            message.partial = { from: posted };
+            TRAJECTORY.forEach(key => {
+                message.partial[key] = trajectory[key] ? trajectory[key].slice(posted, done) : null;
+            });
+            posted = done;
+        }
+        self.postMessage(message);
+    };
+}
+
+function simulateRuns(id, runs) {
+    const progress = createProgress(id, runs.reduce((sum, run) => sum + run.V_seq.length, 0));
+    let finished = 0;
+    const traces = runs.map(({ model, params, V_seq, dt, options }, k) => {
+        const trace = simulateMemristor(createModel(model, params), V_seq, dt, {
+            ...options,
+            onProgress: (done, trajectory) => progress(finished + done, k === 0 ? trajectory : null)
+        });
+        finished += V_seq.length;
+        return trace;
+    });
+    self.postMessage({ id, type: 'result', traces }, buffersOf(traces));
+}
+
+// Each run draws the varied parameters around their nominal values in the
+// order given, from the set's seeded generator. A draw that breaks the
+// model's constraints (a normal draw can flip a sign) is rejected and drawn
+// again, up to MAX_DRAWS times per run; the result counts the rejections.
+const MAX_DRAWS = 1000;
+
+function simulateMonteCarlo(id, { model, params, variations, V_seq, dt, options, settings }) {
+    const progress = createProgress(id, settings.runs * V_seq.length);
+    let started = -1;
+    let rejected = 0;
+    const createDevice = random => {
+        started++;
+        for (let draw = 0; draw < MAX_DRAWS; draw++) {
+            const sampled = { ...params };
+            variations.forEach(({ key, distribution, sigma }) => {
+                sampled[key] = distributions[distribution].sample(params[key], sigma, random);
+            });
+            if (parameterViolations(model, sampled).length === 0) return createModel(model, sampled);
+            rejected++;
+        }
+        throw new Error(`No valid parameter draw in ${MAX_DRAWS} tries; reduce the variations' σ`);
+    };
+    const result = monteCarlo(createDevice, V_seq, dt, {
+        ...options,
+        onProgress: done => progress(started * V_seq.length + done, null)
+    }, settings);
+    self.postMessage({ id, type: 'result', monteCarlo: { ...result, rejected } }, buffersOf(result.traces));
+}
+
+// Every cell is an independent instance of the model, set to LRS or HRS by
+// the pattern; a random pattern comes from the seeded generator. The selected
+// cell is read, written and read again.
+function simulateCrossbar(id, { model, params, rows, cols, wireResistance, pattern, seed, row, col, read, write }) {
+    const random = createRandom(seed);
+    const array = new CrossbarArray(rows, cols, () => createModel(model, params), { wireResistance });
+    array.cells.forEach((cells, i) => cells.forEach((cell, j) => {
+        const lrs = pattern === 'lrs' ||
+            (pattern === 'checkerboard' && (i + j) % 2 === 0) ||
+            (pattern === 'random' && random() < 0.5);
+        setResistiveState(cell, lrs);
+    }));
+
+    const before = crossbarRead(array, row, col, read.V, read.scheme);
+    const written = crossbarWrite(array, row, col, write.V, write.scheme, write.width, write.dt, write.maxSteps);
+    const after = crossbarRead(array, row, col, read.V, read.scheme);
+    self.postMessage({ id, type: 'result', crossbar: { before, write: written, after } });
+}
+
+self.onmessage = ({ data }) => {
+    try {
+        if (data.monteCarlo) {
+            simulateMonteCarlo(data.id, data.monteCarlo);
+        } else if (data.crossbar) {
+            simulateCrossbar(data.id, data.crossbar);
+        } else if (data.retention) {
+            const { model, params, settings, options } = data.retention;
+            const retention = retentionExperiment(() => createModel(model, params), settings, options);
+            self.postMessage({ id: data.id, type: 'result', retention });
+        } else if (data.plasticity) {
+            const { model, params, cycle, stdp, options } = data.plasticity;
+            const createDevice = () => createModel(model, params);
+            self.postMessage({
+                id: data.id,
+                type: 'result',
+                plasticity: {
+                    cycle: potentiationDepression(createDevice, cycle, options),
+                    stdp: stdpWindow(createDevice, stdp, options)
+                }
+            });
+        } else if (data.fingerprint) {
+            const { model, params, amplitude, frequencies, options } = data.fingerprint;
+            const fingerprint = frequencyFingerprint(() => createModel(model, params), amplitude, frequencies, options);
+            self.postMessage({ id: data.id, type: 'result', fingerprint });
+        } else if (data.logic) {
+            const { model, params, gate, settings, options } = data.logic;
+            const logic = statefulLogic(() => createModel(model, params), gate, settings, options);
+            self.postMessage({ id: data.id, type: 'result', logic });
+        } else {
+            simulateRuns(data.id, data.runs);
+        }
+    } catch (error) {
+        self.postMessage({ id: data.id, type: 'error', message: error.message });
+    }
+};